@@ -3,10 +3,9 @@
 
 // Global variables
 const state = {
-  currentTestimonial: 0,
-  carouselInterval: null,
   resizeTimeout: null,
-  isMobile: window.innerWidth < 768
+  isMobile: window.innerWidth < 768,
+  jsonCache: new Map()
 };
 
 // DOM Elements cache
@@ -22,50 +21,664 @@ const elements = {
 
 // Configuration
 const config = {
-  carouselInterval: 5000,
   resizeDelay: 250,
   scrollThreshold: 300,
-  toastDuration: 3000,
+  // Page-wide strings; components keep theirs in `messages` on their own group below
+  messages: {
+    backToTop: 'Back to top',
+    imageUnavailable: 'Image not available'
+  },
+  // Stacked notifications, see Toast
+  toast: {
+    duration: 3000,
+    actionDuration: 10000,
+    resumeDuration: 1500,
+    exitDuration: 300,
+    limit: 3,
+    messages: {
+      dismiss: 'Dismiss notification'
+    }
+  },
+  // Defaults for every TestimonialCarousel; data-* attributes override them per carousel
+  carousel: {
+    interval: 5000,
+    // 'loop' carries on seamlessly past the last slide, 'rewind' slides back to the first
+    wrap: 'loop',
+    // Carousel width in px -> slides in view; the widest matching breakpoint wins
+    slidesPerView: { 0: 1, 1100: 2 },
+    source: null,
+    swipeThreshold: 50,
+    messages: {
+      goTo: 'Go to testimonial {number}',
+      rating: '{rating} out of 5 stars',
+      summary: {
+        one: '{rating} out of 5 from {count} testimonial',
+        other: '{rating} out of 5 from {count} testimonials'
+      }
+    }
+  },
   animationThreshold: 0.1,
-  skillAnimationThreshold: 0.3
+  skillAnimationThreshold: 0.3,
+  // Web Vitals, see PerformanceMonitor
+  performance: {
+    // ?perf in the URL shows the overlay
+    debugParam: 'perf',
+    debug: false,
+    // e.g. '/api/vitals' (tools/routes/vitals.js); null keeps the metrics in the page
+    endpoint: null,
+    imageSelector: '.portfolio-item img',
+    // [good up to, poor above], as defined at web.dev/vitals
+    thresholds: {
+      LCP: [2500, 4000],
+      CLS: [0.1, 0.25],
+      INP: [200, 500],
+      TTFB: [800, 1800]
+    },
+    messages: {
+      title: 'Performance',
+      close: 'Close performance overlay',
+      pending: 'Waiting…',
+      longTasks: 'Long tasks',
+      longTasksValue: '{count} ({blockingTime} ms blocking)',
+      images: 'Grid images',
+      imagesValue: '{count} loaded, {average} ms average'
+    }
+  },
+  // See ErrorReporter and tools/routes/errors.js
+  errors: {
+    // e.g. '/api/errors' (tools/routes/errors.js); null keeps reports in the page
+    endpoint: null,
+    breadcrumbLimit: 20,
+    maxStackLength: 4000,
+    maxPerMinute: 5,
+    maxPerPage: 20,
+    // Failed assets inside these are put down to the component that shows them
+    components: {
+      '#imageModal': 'ImageModal',
+      '.portfolio-item': 'PortfolioRenderer',
+      '.testimonial-carousel': 'TestimonialCarousel',
+      '.sidebar': 'SidebarManager'
+    }
+  },
+  // Event tracking, see Analytics and tools/routes/analytics.js
+  analytics: {
+    enabled: true,
+    // Names from AnalyticsSinks.sinks: 'console', 'endpoint', 'storage'; none records nothing
+    sinks: [],
+    // e.g. '/api/analytics' (tools/routes/analytics.js), with 'endpoint' in sinks
+    endpoint: null,
+    batchSize: 10,
+    flushInterval: 15000,
+    respectDoNotTrack: true,
+    // When true nothing is recorded until analytics.setConsent(true)
+    requireConsent: false,
+    consentKey: 'analytics-consent',
+    storageKey: 'analytics-events',
+    storageLimit: 500,
+    // analytics.html
+    messages: {
+      total: {
+        one: '{count} event recorded',
+        other: '{count} events recorded'
+      },
+      empty: 'Nothing has been recorded for this period.',
+      unavailable: 'The report could not be loaded. Is tools/dev-server.js running?',
+      disabled: 'No collector is set up. Set config.analytics.endpoint and add "endpoint" to its sinks.',
+      count: 'Count',
+      sections: {
+        items: { title: 'Most viewed portfolio items', column: 'Item' },
+        pages: { title: 'Page views', column: 'Page' },
+        tabs: { title: 'Portfolio tabs', column: 'Tab' },
+        forms: { title: 'Form outcomes', column: 'Outcome' },
+        events: { title: 'All events', column: 'Event' }
+      }
+    }
+  },
+  // storageKey and the right-to-left languages must match the inline script in each page's <head>
+  i18n: {
+    storageKey: 'language',
+    defaultLanguage: 'en',
+    catalogUrl: 'data/i18n/{language}.json',
+    dateFormat: { month: 'long', year: 'numeric' },
+    languages: {
+      en: { label: 'English', dir: 'ltr', locale: 'en-GB' },
+      ur: { label: 'اردو', dir: 'rtl', locale: 'ur-PK' }
+    },
+    messages: {
+      switchTo: 'Switch language to {language}'
+    }
+  },
+  // storageKey must match the inline script in each page's <head>
+  theme: {
+    storageKey: 'theme',
+    modes: ['light', 'dark', 'system'],
+    // <meta name="theme-color">, matching --sidebar-bg
+    colors: {
+      light: '#182846',
+      dark: '#0b1322'
+    },
+    labels: {
+      light: 'Light theme',
+      dark: 'Dark theme',
+      system: 'System theme'
+    },
+    messages: {
+      switchTo: 'Switch to {theme}'
+    },
+    icons: {
+      light: 'fa-sun',
+      dark: 'fa-moon',
+      system: 'fa-circle-half-stroke'
+    }
+  },
+  zoom: {
+    maxScale: 8,
+    step: 1.25,
+    wheelSpeed: 0.002
+  },
+  modal: {
+    messages: {
+      loading: 'Loading...',
+      defaultAlt: 'Portfolio Image',
+      imageError: 'Failed to load image',
+      pdfError: 'This document could not be displayed here.',
+      videoError: 'This video could not be played here.',
+      downloadFile: 'Download {title}',
+      downloadImage: 'Download image',
+      downloadPdf: 'Download PDF',
+      downloadVideo: 'Download video',
+      pdf: 'PDF',
+      video: 'video',
+      enterFullscreen: 'Enter fullscreen (F)',
+      exitFullscreen: 'Exit fullscreen (F)',
+      counter: '{number} of {count}'
+    }
+  },
+  pdf: {
+    libraryUrl: 'vendor/pdfjs/pdf.min.mjs',
+    workerUrl: 'vendor/pdfjs/pdf.worker.min.mjs',
+    thumbnailWidth: 96,
+    maxScale: 4,
+    messages: {
+      controls: 'Document controls',
+      prev: 'Previous page (Page Up)',
+      next: 'Next page (Page Down)',
+      page: 'Page {number}',
+      pageInput: 'Page',
+      pages: 'Pages',
+      status: 'Page {number} of {count}'
+    }
+  },
+  portfolio: {
+    manifestUrl: 'data/portfolio.json',
+    subnavLabel: 'Branding subcategories',
+    visitLabel: 'Visit Live Website',
+    viewLabels: {
+      image: 'View',
+      pdf: 'View PDF',
+      video: 'Play'
+    },
+    messages: {
+      empty: 'Nothing to show here yet.',
+      error: 'The portfolio could not be loaded. Please refresh the page to try again.'
+    }
+  },
+  // Variants come from tools/build-images.js; without data/images.json the originals are used
+  images: {
+    manifestUrl: 'data/images.json',
+    cardSizes: '(max-width: 768px) calc(100vw - 2rem), 480px'
+  },
+  tabs: {
+    // 'auto': arrow keys select; 'manual': arrow keys move focus, Enter/Space select
+    activation: 'auto'
+  },
+  filter: {
+    queryParam: 'q',
+    tagParam: 'tag',
+    searchDelay: 250,
+    maxTags: 12,
+    messages: {
+      results: {
+        one: '{count} matching item',
+        other: '{count} matching items'
+      },
+      count: {
+        one: '{count} match',
+        other: '{count} matches'
+      },
+      empty: 'No work here matches your search.',
+      elsewhere: 'Matches in other categories:',
+      clear: 'Clear filters',
+      moreTags: 'More tags',
+      fewerTags: 'Fewer tags'
+    }
+  },
+  video: {
+    posterKey: 'video-poster',
+    posterTime: 1,
+    posterWidth: 480,
+    posterQuality: 0.75,
+    seekStep: 5,
+    volumeStep: 0.1,
+    volume: 1,
+    messages: {
+      video: 'Video',
+      controls: 'Video controls',
+      play: 'Play (K)',
+      pause: 'Pause (K)',
+      mute: 'Mute (M)',
+      unmute: 'Unmute (M)',
+      seek: 'Seek',
+      volume: 'Volume',
+      volumeStatus: 'Volume {percent}',
+      captions: 'Captions: {label}',
+      captionsOff: 'Captions off',
+      position: '{current} of {duration}'
+    }
+  },
+  contact: {
+    transport: 'json',
+    fallbackTransport: null,
+    endpoint: '/api/contact',
+    timeout: 10000,
+    mailto: 'asifmiqbal.pk@gmail.com',
+    messages: {
+      invalid: 'Please fix the errors in the form',
+      sent: 'Message sent successfully! I will get back to you soon.',
+      mailto: 'Your email app should open with the message ready to send.',
+      queuedServer: 'The server could not be reached. Your message is saved and will be sent automatically.',
+      queuedOffline: 'You are offline. Your message is saved and will be sent when you reconnect.',
+      timeout: 'The server took too long to respond. Please try again.',
+      failed: 'Failed to send message. Please try again.',
+      retry: 'Retry',
+      sending: 'Sending...',
+      send: 'Send Message'
+    }
+  },
+  // #testimonialForm goes through ContactForm with these settings; entries wait for moderation
+  testimonials: {
+    transport: 'json',
+    fallbackTransport: null,
+    endpoint: '/api/testimonials',
+    timeout: 10000,
+    mailto: null,
+    draftKey: 'testimonial-draft',
+    // Merged over config.spam, so testimonials keep their own rate-limit and duplicate history
+    spam: {
+      storageKey: 'testimonial-history'
+    },
+    messages: {
+      invalid: 'Please fix the errors in the form',
+      sent: 'Thank you! Your testimonial will appear here once it has been reviewed.',
+      timeout: 'The server took too long to respond. Please try again.',
+      failed: 'Failed to send your testimonial. Please try again.',
+      retry: 'Retry',
+      sending: 'Sending...',
+      send: 'Submit Testimonial'
+    }
+  },
+  // moderate.html; the password is checked by tools/routes/testimonials.js
+  moderation: {
+    endpoint: '/api/testimonials',
+    storageKey: 'moderation-password',
+    timeout: 10000,
+    labels: {
+      name: 'Name',
+      role: 'Role and company',
+      rating: 'Rating',
+      message: 'Testimonial',
+      approve: 'Approve',
+      save: 'Save changes',
+      reject: 'Reject'
+    },
+    messages: {
+      wrongPassword: 'That password was not accepted.',
+      unavailable: 'The moderation service could not be reached.',
+      empty: 'Nothing here.',
+      received: 'Received {date}',
+      approved: 'Approved and published.',
+      saved: 'Changes saved.',
+      rejected: 'Rejected.',
+      failed: 'Could not update the testimonial: {message}'
+    }
+  },
+  // Both résumé formats are built from the microdata on these pages
+  resume: {
+    pages: ['index.html', 'experience.html', 'education.html', 'skills.html'],
+    filename: 'resume.json',
+    timeout: 10000,
+    // The page content is English, so the printed résumé is too
+    locale: 'en-GB',
+    dateFormat: { month: 'short', year: 'numeric' },
+    // sameAs host -> JSON Resume profile network
+    networks: {
+      'linkedin.com': 'LinkedIn',
+      'github.com': 'GitHub'
+    },
+    labels: {
+      summary: 'Profile',
+      work: 'Experience',
+      education: 'Education',
+      certificates: 'Certifications',
+      skills: 'Skills',
+      present: 'Present'
+    },
+    messages: {
+      failed: 'The résumé could not be created. Please try again.'
+    }
+  },
+  // contactme.html; the vCard, QR code and JSON-LD come from the Person microdata
+  contactCard: {
+    // L, M, Q or H; M survives a smudged print-out and keeps the code small enough for a phone
+    qrErrorCorrection: 'M',
+    labels: {
+      email: 'Copy email address',
+      telephone: 'Copy phone number',
+      qr: 'QR code with the contact details of {name}'
+    },
+    messages: {
+      copied: 'Copied {value}',
+      copyFailed: 'Could not copy. Please select the text and copy it instead.'
+    }
+  },
+  serviceWorker: {
+    url: 'sw.js',
+    // How often an open tab checks for a new deploy
+    updateInterval: 60 * 60 * 1000,
+    updateDuration: 30000,
+    messages: {
+      update: 'A new version of this site is available.',
+      reload: 'Reload',
+      offline: 'You are offline. Saved pages are still available.'
+    }
+  },
+  outbox: {
+    dbName: 'portfolio-outbox',
+    storeName: 'messages',
+    syncTag: 'contact-outbox',
+    baseDelay: 5000,
+    maxDelay: 5 * 60 * 1000,
+    // { one, other } entries are picked with Intl.PluralRules for the current language
+    messages: {
+      waiting: {
+        one: '{count} message waiting to send',
+        other: '{count} messages waiting to send'
+      },
+      sent: {
+        one: 'Your saved message has been sent.',
+        other: '{count} saved messages have been sent.'
+      },
+      rejected: 'A saved message could not be delivered. Please send it again.'
+    }
+  },
+  draft: {
+    storageKey: 'contact-draft',
+    saveDelay: 800,
+    maxAge: 7 * 24 * 60 * 60 * 1000,
+    messages: {
+      prompt: 'You have an unsent message from your last visit.',
+      restore: 'Restore draft'
+    }
+  },
+  validation: {
+    domainList: 'data/blocked-email-domains.json',
+    counterWarning: 0.9,
+    counterDelay: 600,
+    messages: {
+      invalid: 'Please check this field',
+      required: 'This field is required',
+      email: 'Please enter a valid email address',
+      minlength: 'Please enter at least {min} characters',
+      maxlength: 'Please use at most {max} characters',
+      pattern: 'Please match the requested format',
+      phone: 'Please enter a valid phone number, e.g. +92 3XX XXXXXXX',
+      emailDomain: 'Please use a permanent email address, not {domain}',
+      summary: 'Please fix the following before sending:',
+      counter: '{count} / {max}',
+      remaining: {
+        one: '{count} character remaining',
+        other: '{count} characters remaining'
+      }
+    }
+  },
+  // Set a rule to false to disable it; tools/lib/spam-rules.js applies the same rules server-side
+  spam: {
+    storageKey: 'contact-history',
+    rules: {
+      honeypot: { field: 'website' },
+      timeTrap: { minElapsed: 3000 },
+      rateLimit: { max: 3, window: 60 * 60 * 1000 },
+      links: { max: 2 },
+      repetition: { minWords: 12, minUniqueRatio: 0.3 },
+      duplicate: { window: 24 * 60 * 60 * 1000 }
+    }
+  }
 };
 
 /**
  * Toast notification system
+ * Stacks messages in #toast, which stays the aria-live region. Each toast
+ * has its own duration (sticky ones wait to be dismissed) and optional action
+ * buttons. Past config.toast.limit the oldest timed toast makes room, or the
+ * new one waits its turn. Timers pause while the stack is hovered or focused.
  */
 class Toast {
-  constructor(element) {
+  constructor(element, options = config.toast) {
     this.element = element;
-    this.timeout = null;
+    this.options = options;
+    this.toasts = new Map();
+    this.queue = [];
+    this.nextId = 1;
+    this.pausedBy = new Set();
+
+    if (this.element) {
+      this.bindEvents();
+    }
+  }
+
+  bindEvents() {
+    this.element.addEventListener('mouseenter', () => this.pause('hover'));
+    this.element.addEventListener('mouseleave', () => this.resume('hover'));
+    this.element.addEventListener('focusin', () => this.pause('focus'));
+    this.element.addEventListener('focusout', (e) => {
+      if (!this.element.contains(e.relatedTarget)) this.resume('focus');
+    });
+
+    // Nobody reads a toast in a background tab
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) {
+        this.pause('hidden');
+      } else {
+        this.resume('hidden');
+      }
+    });
   }
 
-  show(message, type = 'success') {
-    if (!this.element) return;
+  /**
+   * options.duration overrides the default timeout; options.sticky keeps the
+   * toast until it is dismissed. options.action ({ label, onClick }) or
+   * options.actions adds buttons. Returns an id for update() and dismiss().
+   */
+  show(message, type = 'success', options = {}) {
+    if (!this.element) return null;
 
-    // Clear previous
-    this.hide();
-    clearTimeout(this.timeout);
+    const toast = { id: this.nextId++, message, type, options };
 
-    // Reset classes
-    this.element.className = 'toast';
-    
-    // Set content and style
-    this.element.textContent = message;
-    this.element.classList.add('show', `toast-${type}`);
+    if (this.toasts.size < this.options.limit && !this.queue.length) {
+      this.open(toast);
+    } else {
+      // Behind any toast already waiting; dismiss() opens the head of the queue
+      this.queue.push(toast);
+      if (this.toasts.size >= this.options.limit) this.makeRoom();
+    }
+
+    return toast.id;
+  }
+
+  // Replace the message of a visible or waiting toast, restarting its timer
+  update(id, message, type = 'success', options = {}) {
+    const toast = this.toasts.get(id) || this.queue.find(entry => entry.id === id);
+    if (!toast) return;
+
+    Object.assign(toast, { message, type, options });
+
+    if (toast.node) {
+      this.render(toast);
+      this.startTimer(toast);
+    }
+  }
+
+  /**
+   * Show messages.loading until the promise settles, then messages.success or
+   * messages.error; either may be a function of the value or the error.
+   * Returns the original promise, so callers still see the rejection.
+   */
+  promise(promise, messages) {
+    const id = this.show(messages.loading, 'loading', { sticky: true });
+    const settle = (message, result, type) => {
+      const text = typeof message === 'function' ? message(result) : message;
+      if (text) {
+        this.update(id, text, type);
+      } else {
+        this.dismiss(id);
+      }
+    };
+
+    promise.then(
+      value => settle(messages.success, value, 'success'),
+      error => settle(messages.error, error, 'error')
+    );
+
+    return promise;
+  }
+
+  open(toast) {
+    toast.node = document.createElement('div');
+    this.render(toast);
+    this.element.appendChild(toast.node);
+    this.toasts.set(toast.id, toast);
+    this.startTimer(toast);
+
+    // Next frame, so the entry transition runs
+    requestAnimationFrame(() => toast.node.classList.add('show'));
+  }
+
+  render(toast) {
+    const { node, message, type, options } = toast;
+    const actions = options.actions || (options.action ? [options.action] : []);
+
+    node.className = `toast toast-${type}${node.isConnected ? ' show' : ''}`;
+
+    const text = document.createElement('span');
+    text.className = 'toast-message';
+    text.textContent = message;
+
+    node.replaceChildren(text, ...actions.map(action => this.createAction(toast, action)), this.createDismiss(toast));
+
+    if (type === 'loading') {
+      node.insertAdjacentHTML('afterbegin', '<i class="fas fa-spinner fa-spin" aria-hidden="true"></i>');
+    }
+  }
+
+  createAction(toast, { label, onClick }) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'toast-action';
+    button.textContent = label;
+    button.addEventListener('click', () => {
+      this.dismiss(toast.id);
+      onClick();
+    });
+    return button;
+  }
+
+  createDismiss(toast) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'toast-dismiss';
+    button.setAttribute('aria-label', this.options.messages.dismiss);
+    button.innerHTML = '<i class="fas fa-times" aria-hidden="true"></i>';
+    button.addEventListener('click', () => this.dismiss(toast.id));
+    return button;
+  }
+
+  // Early-dismiss the oldest toast that would time out anyway; sticky ones stay
+  makeRoom() {
+    const oldest = Array.from(this.toasts.values()).find(toast => this.durationOf(toast));
+    if (!oldest) return false;
+
+    this.dismiss(oldest.id);
+    return true;
+  }
+
+  durationOf({ type, options }) {
+    if (options.sticky || type === 'loading') return 0;
 
-    // Auto hide
-    this.timeout = setTimeout(() => {
-      this.hide();
-    }, config.toastDuration);
+    const hasActions = options.action || options.actions?.length;
+    return options.duration || (hasActions ? this.options.actionDuration : this.options.duration);
+  }
+
+  startTimer(toast) {
+    clearTimeout(toast.timer);
+    toast.timer = null;
+    toast.remaining = this.durationOf(toast);
+
+    if (toast.remaining && !this.pausedBy.size) {
+      this.runTimer(toast);
+    }
+  }
+
+  runTimer(toast) {
+    toast.startedAt = Date.now();
+    toast.timer = setTimeout(() => this.dismiss(toast.id), toast.remaining);
+  }
+
+  pause(reason) {
+    this.pausedBy.add(reason);
+
+    this.toasts.forEach(toast => {
+      if (!toast.timer) return;
+
+      clearTimeout(toast.timer);
+      toast.timer = null;
+      // Leave a moment to finish reading once the pointer moves away
+      toast.remaining = Math.max(toast.remaining - (Date.now() - toast.startedAt), this.options.resumeDuration);
+    });
+  }
+
+  resume(reason) {
+    this.pausedBy.delete(reason);
+    if (this.pausedBy.size) return;
+
+    this.toasts.forEach(toast => {
+      if (toast.remaining && !toast.timer) this.runTimer(toast);
+    });
+  }
 
-    // Accessibility
-    this.element.setAttribute('aria-live', 'polite');
-    this.element.setAttribute('role', 'status');
+  dismiss(id) {
+    const toast = this.toasts.get(id);
+
+    if (!toast) {
+      this.queue = this.queue.filter(entry => entry.id !== id);
+      return;
+    }
+
+    clearTimeout(toast.timer);
+    this.toasts.delete(id);
+    toast.node.classList.remove('show');
+
+    // Let the exit transition finish before removing it
+    setTimeout(() => toast.node.remove(), this.options.exitDuration);
+
+    if (this.queue.length) {
+      this.open(this.queue.shift());
+    }
   }
 
+  // Dismiss everything, including toasts still waiting their turn
   hide() {
-    if (!this.element) return;
-    this.element.classList.remove('show', 'toast-success', 'toast-error', 'toast-warning');
+    this.queue = [];
+    Array.from(this.toasts.keys()).forEach(id => this.dismiss(id));
   }
 }
 
@@ -73,687 +686,6064 @@ class Toast {
 const toast = new Toast(elements.toast);
 
 /**
- * Sidebar management
+ * Internationalisation
+ * English lives in config; data/i18n/<language>.json holds a "config"
+ * overlay with the same shape, merged over it before any component starts,
+ * and "page" strings for elements marked with data-i18n, data-i18n-label or
+ * data-i18n-placeholder.
+ * Sets lang and dir on <html>; the stylesheets use logical properties, so
+ * right-to-left languages mirror the layout without extra rules.
  */
-class SidebarManager {
-  constructor() {
-    this.sidebar = elements.sidebar;
-    this.hamburger = elements.hamburger;
-    this.overlay = elements.overlay;
-    this.isOpen = false;
-    
-    this.init();
+class I18n {
+  constructor(options = config.i18n) {
+    this.options = options;
+    this.root = document.documentElement;
+    this.language = this.load();
+    this.strings = {};
+    this.switcher = null;
+
+    this.applyLanguage();
   }
 
-  init() {
-    this.setInitialState();
-    this.bindEvents();
+  get locale() {
+    return this.options.languages[this.language].locale;
   }
 
-  setInitialState() {
-    if (state.isMobile) {
-      this.closeSidebar();
-    } else {
-      this.openSidebar();
+  get isRtl() {
+    return this.options.languages[this.language].dir === 'rtl';
+  }
+
+  load() {
+    try {
+      const saved = localStorage.getItem(this.options.storageKey);
+      if (this.options.languages[saved]) return saved;
+    } catch (error) {
+      // Private mode: fall through to the default
+    }
+    return this.options.defaultLanguage;
+  }
+
+  save(language) {
+    try {
+      if (language === this.options.defaultLanguage) {
+        localStorage.removeItem(this.options.storageKey);
+      } else {
+        localStorage.setItem(this.options.storageKey, language);
+      }
+    } catch (error) {
+      // Private mode: the choice lasts for this page only
+    }
+  }
+
+  applyLanguage() {
+    this.root.setAttribute('lang', this.language);
+    this.root.setAttribute('dir', this.options.languages[this.language].dir);
+  }
+
+  // Resolves once the catalog is merged into config; a missing catalog leaves English in place
+  async init() {
+    if (this.language !== this.options.defaultLanguage) {
+      const url = Utils.formatMessage(this.options.catalogUrl, { language: this.language });
+
+      try {
+        const catalog = await Utils.loadJson(url);
+        I18n.merge(config, catalog.config || {});
+        this.strings = catalog.page || {};
+      } catch (error) {
+        console.warn(`Could not load ${url}:`, error);
+      }
+    }
+
+    this.translatePage();
+    this.createSwitcher();
+  }
+
+  // Merged in place: components keep references to their config groups
+  static merge(target, source) {
+    Object.entries(source).forEach(([key, value]) => {
+      if (value && typeof value === 'object' && !Array.isArray(value) && target[key] && typeof target[key] === 'object') {
+        I18n.merge(target[key], value);
+      } else {
+        target[key] = value;
+      }
+    });
+    return target;
+  }
+
+  translatePage() {
+    document.querySelectorAll('[data-i18n]').forEach(element => {
+      const text = this.strings[element.dataset.i18n];
+      if (text) element.textContent = text;
+    });
+
+    document.querySelectorAll('[data-i18n-label]').forEach(element => {
+      const text = this.strings[element.dataset.i18nLabel];
+      if (text) element.setAttribute('aria-label', text);
+    });
+
+    document.querySelectorAll('[data-i18n-placeholder]').forEach(element => {
+      const text = this.strings[element.dataset.i18nPlaceholder];
+      if (text) element.setAttribute('placeholder', text);
+    });
+
+    // <time datetime="2020-09" data-i18n-date>
+    document.querySelectorAll('time[data-i18n-date]').forEach(element => {
+      const [year, month = 1, day = 1] = element.getAttribute('datetime').split('-').map(Number);
+      if (!year) return;
+      element.textContent = this.formatDate(new Date(year, month - 1, day), this.options.dateFormat);
+    });
+  }
+
+  formatNumber(value, options) {
+    try {
+      return new Intl.NumberFormat(this.locale, options).format(value);
+    } catch (error) {
+      return String(value);
+    }
+  }
+
+  formatDate(date, options) {
+    try {
+      return new Intl.DateTimeFormat(this.locale, options).format(date);
+    } catch (error) {
+      return date.toDateString();
+    }
+  }
+
+  // message is a string or { one, other, ... } keyed by Intl.PluralRules category
+  plural(message, count) {
+    if (typeof message === 'string') {
+      return Utils.formatMessage(message, { count: this.formatNumber(count) });
+    }
+
+    let category = 'other';
+    try {
+      category = new Intl.PluralRules(this.locale).select(count);
+    } catch (error) {
+      category = count === 1 ? 'one' : 'other';
     }
+
+    return Utils.formatMessage(message[category] ?? message.other, { count: this.formatNumber(count) });
+  }
+
+  // One button that offers the other language; labels are shown in their own language
+  createSwitcher() {
+    const footer = document.querySelector('.sidebar .footer');
+    const languages = Object.keys(this.options.languages);
+    if (!footer || languages.length < 2) return;
+
+    const next = languages[(languages.indexOf(this.language) + 1) % languages.length];
+    const { label } = this.options.languages[next];
+    const hint = Utils.formatMessage(this.options.messages.switchTo, { language: label });
+
+    this.switcher = document.createElement('button');
+    this.switcher.type = 'button';
+    this.switcher.className = 'theme-toggle language-toggle';
+    this.switcher.title = hint;
+    this.switcher.setAttribute('aria-label', hint);
+    this.switcher.innerHTML = `
+      <i class="fas fa-language nav-icon" aria-hidden="true"></i>
+      <span class="label" lang="${next}">${Utils.escapeHtml(label)}</span>
+    `;
+    this.switcher.addEventListener('click', () => this.set(next));
+
+    footer.parentNode.insertBefore(this.switcher, footer);
+  }
+
+  // Components read their strings once at start-up, so a reload is the simple way to switch
+  set(language) {
+    if (!this.options.languages[language] || language === this.language) return;
+
+    this.save(language);
+    window.location.reload();
+  }
+}
+
+const i18n = new I18n(config.i18n);
+
+/**
+ * Error reporter
+ * Collects uncaught errors, unhandled rejections and assets that fail to
+ * load, with the page, component, user agent and a trail of breadcrumbs
+ * (recent clicks and analytics events such as tab switches or modal opens).
+ * Each distinct error is reported once per page, within a rate limit.
+ */
+class ErrorReporter {
+  constructor(options = config.errors) {
+    this.options = options;
+    this.breadcrumbs = [];
+    this.seen = new Map();
+    this.sentTimes = [];
+    this.sentCount = 0;
+
+    this.bindEvents();
   }
 
   bindEvents() {
-    // Hamburger menu
-    if (this.hamburger) {
-      this.hamburger.addEventListener('click', () => this.toggle());
-      this.hamburger.addEventListener('keydown', (e) => {
-        if (e.key === 'Enter' || e.key === ' ') {
-          e.preventDefault();
-          this.toggle();
-        }
+    // Capture phase: asset errors do not bubble, and Utils.optimizeImages
+    // replaces a broken src right after its own error handler runs
+    window.addEventListener('error', (e) => this.handleErrorEvent(e), true);
+    window.addEventListener('unhandledrejection', (e) => this.capture(e.reason, { category: 'rejection' }));
+
+    document.addEventListener('click', (e) => {
+      const target = e.target.closest?.('a, button, [role="tab"]');
+      if (target) this.addBreadcrumb('click', ErrorReporter.describe(target));
+    }, true);
+
+    window.addEventListener('online', () => this.addBreadcrumb('network', 'online'));
+    window.addEventListener('offline', () => this.addBreadcrumb('network', 'offline'));
+  }
+
+  handleErrorEvent(e) {
+    const { target } = e;
+
+    if (target && target !== window && target.tagName) {
+      this.reportAsset(target.currentSrc || target.src || target.href, {
+        tag: target.tagName.toLowerCase(),
+        component: this.componentFor(target)
       });
+      return;
+    }
+
+    this.capture(e.error || e.message, {
+      source: { url: e.filename, line: e.lineno, column: e.colno }
+    });
+  }
+
+  // For errors that were caught but should still be looked at
+  capture(error, { category = 'error', component = null, source = null } = {}) {
+    const isError = error instanceof Error;
+    const message = String((isError ? error.message : error) ?? 'Unknown error');
+    const stack = isError && error.stack ? String(error.stack).slice(0, this.options.maxStackLength) : null;
+    const location = stack ? stack.split('\n')[1] : source && `${source.url}:${source.line}`;
+
+    this.send({
+      category,
+      name: isError ? error.name : null,
+      message: message.slice(0, 500),
+      stack,
+      source,
+      component: component || ErrorReporter.componentFromStack(stack)
+    }, `${category} ${message} ${location || ''}`);
+  }
+
+  // Broken asset URLs are their own category, keyed by URL alone
+  reportAsset(url, { tag = null, component = null } = {}) {
+    if (!url || url.startsWith('data:')) return;
+
+    const path = ErrorReporter.path(url);
+    this.send({
+      category: 'asset',
+      message: `Failed to load ${tag || 'asset'} ${path}`,
+      asset: { url: path, tag },
+      component
+    }, `asset ${path}`);
+  }
+
+  addBreadcrumb(type, message, data = null) {
+    this.breadcrumbs.push({ type, message, ...(data ? { data } : {}), time: new Date().toISOString() });
+
+    if (this.breadcrumbs.length > this.options.breadcrumbLimit) {
+      this.breadcrumbs.shift();
+    }
+  }
+
+  componentFor(element) {
+    const match = Object.entries(this.options.components).find(([selector]) => element.closest(selector));
+    return match ? match[1] : null;
+  }
+
+  // Sliding window over the last minute, plus a cap for the whole page
+  isRateLimited() {
+    const now = Date.now();
+    this.sentTimes = this.sentTimes.filter(time => now - time < 60000);
+
+    return this.sentTimes.length >= this.options.maxPerMinute || this.sentCount >= this.options.maxPerPage;
+  }
+
+  send(details, key) {
+    // Reporting an error must never raise another one
+    try {
+      const fingerprint = Utils.hashString(key);
+      const count = (this.seen.get(fingerprint) || 0) + 1;
+      this.seen.set(fingerprint, count);
+
+      if (count > 1 || this.isRateLimited()) return;
+
+      this.sentTimes.push(Date.now());
+      this.sentCount++;
+
+      const report = {
+        ...details,
+        fingerprint,
+        page: window.location.pathname,
+        userAgent: navigator.userAgent,
+        language: document.documentElement.lang,
+        time: new Date().toISOString(),
+        breadcrumbs: this.breadcrumbs.slice()
+      };
+
+      // Later reports show this one in their trail
+      this.addBreadcrumb('error', details.message);
+
+      if (!this.options.endpoint) return;
+
+      const body = JSON.stringify(report);
+      if (navigator.sendBeacon && navigator.sendBeacon(this.options.endpoint, body)) return;
+
+      fetch(this.options.endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+        .catch(() => {});
+    } catch (error) {
+      console.warn('Could not report error:', error);
     }
+  }
+
+  // 'button.view-btn "View"'
+  static describe(element) {
+    const tag = element.tagName.toLowerCase();
+    const id = element.id ? `#${element.id}` : '';
+    const className = element.classList?.[0] ? `.${element.classList[0]}` : '';
+    const label = (element.getAttribute('aria-label') || element.textContent || '').trim().replace(/\s+/g, ' ').slice(0, 40);
+
+    return `${tag}${id}${className}${label ? ` "${label}"` : ''}`;
+  }
+
+  // Our own classes show up in V8 stacks as "at ContactForm.handleSubmit"
+  static componentFromStack(stack) {
+    if (!stack) return null;
+
+    const builtIns = /^(Object|Array|Promise|Function|Window|EventTarget|HTML\w*)$/;
+    const names = Array.from(stack.matchAll(/at (?:async )?(?:new )?([A-Z]\w*)[.\s]/g), match => match[1]);
+    return names.find(name => !builtIns.test(name)) || null;
+  }
+
+  // Same-origin URLs as a path; query strings are dropped everywhere
+  static path(url) {
+    try {
+      const parsed = new URL(url, window.location.href);
+      return parsed.origin === window.location.origin ? decodeURIComponent(parsed.pathname) : `${parsed.origin}${parsed.pathname}`;
+    } catch (error) {
+      return String(url).split(/[?#]/)[0];
+    }
+  }
+}
+
+const errorReporter = new ErrorReporter(config.errors);
+
+/**
+ * Analytics sinks
+ * Each sink receives a batch of events; add one to `sinks` and list its name
+ * in config.analytics.sinks to use it. `beacon` is set while the page is
+ * being hidden or unloaded, when only sendBeacon is sure to get through.
+ */
+const AnalyticsSinks = {
+  sinks: {
+    console(events) {
+      console.info('[analytics]', events);
+    },
+
+    // The collector in tools/routes/analytics.js
+    async endpoint(events, options, { beacon }) {
+      if (!options.endpoint) {
+        throw new Error('config.analytics.endpoint is not set');
+      }
+
+      const body = JSON.stringify({ events });
+
+      if (beacon && navigator.sendBeacon && navigator.sendBeacon(options.endpoint, body)) return;
+
+      const response = await fetch(options.endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body,
+        keepalive: true
+      });
+
+      if (!response.ok) {
+        throw new Error(`Collector responded with ${response.status}`);
+      }
+    },
+
+    // Keeps the most recent events in localStorage, e.g. for a site with no backend
+    storage(events, options) {
+      const stored = AnalyticsSinks.readStorage(options);
+      localStorage.setItem(options.storageKey, JSON.stringify(stored.concat(events).slice(-options.storageLimit)));
+    }
+  },
+
+  readStorage(options) {
+    try {
+      return JSON.parse(localStorage.getItem(options.storageKey)) || [];
+    } catch (error) {
+      return [];
+    }
+  },
+
+  send(name, events, options, context) {
+    const sink = this.sinks[name];
+
+    if (!sink) {
+      return Promise.reject(new Error(`Unknown analytics sink "${name}"`));
+    }
+
+    return (async () => sink(events, options, context))();
+  }
+};
+
+/**
+ * Analytics
+ * Components report what visitors do with analytics.track(name, props).
+ * Events carry the page path and a timestamp, never form contents, query
+ * strings or anything that identifies the visitor; there are no cookies or
+ * ids. Nothing is recorded under Do Not Track / Global Privacy Control or
+ * once consent has been withdrawn. Events are batched and flushed to every
+ * configured sink, with a final sendBeacon flush when the page is hidden.
+ */
+class Analytics {
+  constructor(options = config.analytics) {
+    this.options = options;
+    this.queue = [];
+    this.timer = null;
+
+    // pagehide is the last reliable moment; hidden tabs on mobile may never see it
+    window.addEventListener('pagehide', () => this.flush({ beacon: true }));
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.flush({ beacon: true });
+    });
+  }
+
+  static doNotTrack() {
+    if (navigator.globalPrivacyControl === true) return true;
+    return [navigator.doNotTrack, window.doNotTrack, navigator.msDoNotTrack].some(value => value === '1' || value === 'yes');
+  }
+
+  // 'granted', 'denied' or null when the visitor has not chosen
+  getConsent() {
+    try {
+      return localStorage.getItem(this.options.consentKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  setConsent(granted) {
+    try {
+      localStorage.setItem(this.options.consentKey, granted ? 'granted' : 'denied');
+    } catch (error) {
+      // Without storage the choice lasts for this page only
+    }
+
+    if (!granted) {
+      this.queue = [];
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+  }
+
+  isEnabled() {
+    const { enabled, respectDoNotTrack, requireConsent } = this.options;
+    if (!enabled || (respectDoNotTrack && Analytics.doNotTrack())) return false;
+
+    const consent = this.getConsent();
+    return requireConsent ? consent === 'granted' : consent !== 'denied';
+  }
+
+  track(name, props = {}) {
+    // Error reports get the trail even when nothing is tracked
+    errorReporter.addBreadcrumb('event', name, Object.keys(props).length ? props : null);
+
+    if (!this.isEnabled()) return;
+
+    this.queue.push({
+      name,
+      page: window.location.pathname,
+      time: new Date().toISOString(),
+      ...(Object.keys(props).length ? { props } : {})
+    });
+
+    if (this.queue.length >= this.options.batchSize) {
+      this.flush();
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.options.flushInterval);
+    }
+  }
+
+  flush({ beacon = false } = {}) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    if (!this.queue.length) return;
+
+    // Best effort: a batch that fails is dropped rather than retried
+    const events = this.queue.splice(0);
+    this.options.sinks.forEach(name => {
+      AnalyticsSinks.send(name, events, this.options, { beacon }).catch(error => {
+        console.warn(`Analytics sink "${name}" failed:`, error);
+      });
+    });
+  }
+}
+
+const analytics = new Analytics(config.analytics);
+
+/**
+ * Analytics report (analytics.html)
+ * Shows the collector's counts, naming portfolio items by their titles in
+ * data/portfolio.json. The checkbox lets the owner leave their own visits out.
+ */
+class AnalyticsReport {
+  constructor(options = config.analytics) {
+    this.root = document.getElementById('analytics-report');
+    this.options = options;
+
+    if (this.root) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.daysSelect = this.root.querySelector('#analytics-days');
+    this.output = this.root.querySelector('.analytics-output');
+
+    this.bindConsent();
+    this.daysSelect?.addEventListener('change', () => this.load());
+    this.load();
+  }
+
+  bindConsent() {
+    const checkbox = this.root.querySelector('[data-analytics-consent]');
+    if (!checkbox) return;
+
+    // Do Not Track wins over anything set here
+    checkbox.disabled = this.options.respectDoNotTrack && Analytics.doNotTrack();
+    checkbox.checked = analytics.isEnabled();
+    checkbox.addEventListener('change', () => analytics.setConsent(checkbox.checked));
+  }
+
+  async load() {
+    if (!this.options.endpoint) {
+      this.output.innerHTML = `<p class="portfolio-message">${Utils.escapeHtml(this.options.messages.disabled)}</p>`;
+      return;
+    }
+
+    const days = this.daysSelect?.value;
+    const url = days ? `${this.options.endpoint}?days=${encodeURIComponent(days)}` : this.options.endpoint;
+
+    try {
+      const [report, titles] = await Promise.all([this.fetchReport(url), this.loadTitles()]);
+      this.render(report, titles);
+    } catch (error) {
+      console.error('Analytics report error:', error);
+      this.output.innerHTML = `<p class="portfolio-message" role="alert">${Utils.escapeHtml(this.options.messages.unavailable)}</p>`;
+    }
+  }
+
+  async fetchReport(url) {
+    const response = await Utils.fetchWithTimeout(url, { headers: { Accept: 'application/json' } });
+
+    if (!response.ok) {
+      throw new Error(`Collector responded with ${response.status}`);
+    }
+
+    return response.json();
+  }
+
+  // File path -> title; the paths are the item ids sent by ImageModal
+  async loadTitles() {
+    try {
+      const manifest = await Utils.loadJson(config.portfolio.manifestUrl);
+      return new Map(manifest.items.map(item => [item.file, item.title]));
+    } catch (error) {
+      return new Map();
+    }
+  }
+
+  render(report, titles) {
+    const { messages } = this.options;
+    const total = `<p class="analytics-total">${Utils.escapeHtml(i18n.plural(messages.total, report.total))}</p>`;
+
+    if (!report.total) {
+      this.output.innerHTML = `${total}<p class="portfolio-message">${Utils.escapeHtml(messages.empty)}</p>`;
+      return;
+    }
+
+    const sections = [
+      { ...messages.sections.items, rows: report.items, label: row => titles.get(row.item) || row.item },
+      { ...messages.sections.pages, rows: report.pages, label: row => row.page },
+      { ...messages.sections.tabs, rows: report.tabs, label: row => row.tab },
+      { ...messages.sections.forms, rows: report.forms, label: row => row.outcome },
+      { ...messages.sections.events, rows: report.events, label: row => row.name }
+    ];
+
+    this.output.innerHTML = total + sections
+      .filter(section => section.rows?.length)
+      .map(section => this.renderTable(section))
+      .join('');
+  }
+
+  renderTable({ title, column, rows, label }) {
+    const escape = Utils.escapeHtml;
+    const body = rows.map(row => `
+      <tr>
+        <th scope="row">${escape(label(row))}</th>
+        <td>${escape(i18n.formatNumber(row.count))}</td>
+      </tr>
+    `).join('');
+
+    return `
+      <table class="analytics-table">
+        <caption>${escape(title)}</caption>
+        <thead>
+          <tr>
+            <th scope="col">${escape(column)}</th>
+            <th scope="col">${escape(this.options.messages.count)}</th>
+          </tr>
+        </thead>
+        <tbody>${body}</tbody>
+      </table>
+    `;
+  }
+}
+
+/**
+ * Theme manager
+ * Light, dark or system (follows prefers-color-scheme), chosen with a
+ * toggle in the sidebar and saved in localStorage. The resolved theme is
+ * set as data-theme on <html>; the CSS tokens in responsive.css do the rest.
+ */
+class ThemeManager {
+  constructor(options = config.theme) {
+    this.options = options;
+    this.root = document.documentElement;
+    this.media = window.matchMedia?.('(prefers-color-scheme: dark)') || null;
+    this.preference = this.load();
+    this.toggle = null;
+
+    this.init();
+  }
+
+  init() {
+    this.createToggle();
+    this.apply();
+
+    this.media?.addEventListener?.('change', () => {
+      if (this.preference === 'system') this.apply();
+    });
+
+    // Keep other open tabs in step
+    window.addEventListener('storage', (e) => {
+      if (e.key !== this.options.storageKey) return;
+      this.preference = this.load();
+      this.apply();
+    });
+  }
+
+  load() {
+    try {
+      const saved = localStorage.getItem(this.options.storageKey);
+      return this.options.modes.includes(saved) ? saved : 'system';
+    } catch (error) {
+      return 'system';
+    }
+  }
+
+  save() {
+    try {
+      if (this.preference === 'system') {
+        localStorage.removeItem(this.options.storageKey);
+      } else {
+        localStorage.setItem(this.options.storageKey, this.preference);
+      }
+    } catch (error) {
+      // Private mode: the choice lasts for this page only
+    }
+  }
+
+  resolve() {
+    if (this.preference !== 'system') return this.preference;
+    return this.media?.matches ? 'dark' : 'light';
+  }
+
+  set(preference) {
+    if (!this.options.modes.includes(preference)) return;
+
+    this.preference = preference;
+    this.save();
+    this.apply();
+  }
+
+  // light -> dark -> system -> light
+  cycle() {
+    const { modes } = this.options;
+    this.set(modes[(modes.indexOf(this.preference) + 1) % modes.length]);
+  }
+
+  apply() {
+    const theme = this.resolve();
+    this.root.setAttribute('data-theme', theme);
+
+    document.querySelector('meta[name="theme-color"]')?.setAttribute('content', this.options.colors[theme]);
+    this.updateToggle();
+  }
+
+  createToggle() {
+    const footer = document.querySelector('.sidebar .footer');
+    if (!footer) return;
+
+    this.toggle = document.createElement('button');
+    this.toggle.type = 'button';
+    this.toggle.className = 'theme-toggle';
+    this.toggle.innerHTML = `
+      <i class="fas nav-icon" aria-hidden="true"></i>
+      <span class="label"></span>
+    `;
+    this.toggle.addEventListener('click', () => this.cycle());
+
+    footer.parentNode.insertBefore(this.toggle, footer);
+  }
+
+  updateToggle() {
+    if (!this.toggle) return;
+
+    const { modes, labels, icons } = this.options;
+    const next = modes[(modes.indexOf(this.preference) + 1) % modes.length];
+
+    this.toggle.querySelector('i').className = `fas ${icons[this.preference]} nav-icon`;
+    this.toggle.querySelector('.label').textContent = labels[this.preference];
+    const hint = Utils.formatMessage(this.options.messages.switchTo, { theme: labels[next].toLowerCase() });
+
+    this.toggle.setAttribute('aria-label', `${labels[this.preference]}. ${hint}`);
+    this.toggle.title = hint;
+  }
+}
+
+/**
+ * Sidebar management
+ */
+class SidebarManager {
+  constructor() {
+    this.sidebar = elements.sidebar;
+    this.hamburger = elements.hamburger;
+    this.overlay = elements.overlay;
+    this.isOpen = false;
+    
+    this.init();
+  }
+
+  init() {
+    this.setInitialState();
+    this.bindEvents();
+  }
+
+  setInitialState() {
+    if (state.isMobile) {
+      this.closeSidebar();
+    } else {
+      this.openSidebar();
+    }
+  }
+
+  bindEvents() {
+    // Hamburger menu
+    if (this.hamburger) {
+      this.hamburger.addEventListener('click', () => this.toggle());
+      this.hamburger.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          this.toggle();
+        }
+      });
+    }
+
+    // Overlay
+    if (this.overlay) {
+      this.overlay.addEventListener('click', () => this.close());
+    }
+
+    // Navigation links
+    document.querySelectorAll('.nav-link').forEach(link => {
+      link.addEventListener('click', () => {
+        if (state.isMobile) this.close();
+      });
+    });
+
+    // Escape key
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen && state.isMobile) {
+        this.close();
+      }
+    });
+
+    // Resize handling
+    window.addEventListener('resize', this.handleResize.bind(this));
+  }
+
+  toggle() {
+    if (state.isMobile) {
+      this.isOpen ? this.close() : this.open();
+    } else {
+      this.toggleDesktop();
+    }
+  }
+
+  open() {
+    if (!this.sidebar || !this.overlay) return;
+    
+    this.sidebar.classList.add('sidebar-expanded');
+    this.overlay.classList.add('active');
+    this.hamburger?.classList.add('active');
+    document.body.style.overflow = 'hidden';
+    this.isOpen = true;
+
+    // Focus management for accessibility
+    const firstLink = this.sidebar.querySelector('.nav-link');
+    if (firstLink) firstLink.focus();
+  }
+
+  close() {
+    if (!this.sidebar || !this.overlay) return;
+    
+    this.sidebar.classList.remove('sidebar-expanded');
+    this.overlay.classList.remove('active');
+    this.hamburger?.classList.remove('active');
+    document.body.style.overflow = '';
+    this.isOpen = false;
+
+    // Return focus to hamburger
+    this.hamburger?.focus();
+  }
+
+  toggleDesktop() {
+    if (!this.sidebar) return;
+    this.sidebar.classList.toggle('collapsed');
+  }
+
+  openSidebar() {
+    if (!this.sidebar) return;
+    this.sidebar.classList.remove('collapsed');
+    if (state.isMobile) {
+      this.sidebar.classList.add('sidebar-expanded');
+    }
+  }
+
+  closeSidebar() {
+    if (!this.sidebar) return;
+    this.sidebar.classList.add('collapsed');
+    this.sidebar.classList.remove('sidebar-expanded');
+  }
+
+  handleResize() {
+    clearTimeout(state.resizeTimeout);
+    state.resizeTimeout = setTimeout(() => {
+      state.isMobile = window.innerWidth < 768;
+      
+      if (state.isMobile && this.isOpen) {
+        this.close();
+      }
+      
+      if (!state.isMobile) {
+        this.overlay?.classList.remove('active');
+        document.body.style.overflow = '';
+        this.isOpen = false;
+      }
+    }, config.resizeDelay);
+  }
+}
+
+/**
+ * Testimonial carousel
+ * One instance per .testimonial-carousel. Slides come from the markup and,
+ * with data-source, from a JSON file ({ items: [{ body, author, role, rating }] })
+ * appended after them. config.carousel holds the defaults; each carousel can
+ * override them with data-slides-per-view="0:1, 1100:2" (carousel width in
+ * px -> slides in view), data-wrap="loop|rewind" and data-interval (0 turns
+ * autoplay off).
+ */
+class TestimonialCarousel {
+  constructor(root, options = {}) {
+    this.root = root;
+    this.track = root?.querySelector('.testimonial-track') || null;
+    this.dotsContainer = root?.querySelector('.carousel-dots') || null;
+    this.prevBtn = root?.querySelector('[data-carousel="prev"]') || null;
+    this.nextBtn = root?.querySelector('[data-carousel="next"]') || null;
+    this.options = root ? this.readOptions(options) : { ...config.carousel, ...options };
+    this.slides = [];
+    this.clones = [];
+    this.dots = [];
+    this.index = 0;
+    this.perView = 0;
+    this.interval = null;
+    // Autoplay runs only while nothing has paused it: hover, focus, drag or a hidden tab
+    this.pausedBy = new Set();
+    this.drag = null;
+    this.resizeObserver = null;
+    this.resizeTimeout = null;
+    this.reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)') || null;
+
+    this.handleKeydown = this.handleKeydown.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleTransitionEnd = this.handleTransitionEnd.bind(this);
+    this.handleVisibility = this.handleVisibility.bind(this);
+    this.handleMotionChange = this.handleMotionChange.bind(this);
+
+    this.ready = this.track ? this.init() : Promise.resolve();
+  }
+
+  // Same pattern as ContactForm: data-* attributes win over config
+  readOptions(overrides) {
+    const { dataset } = this.root;
+    const defaults = config.carousel;
+
+    return {
+      ...defaults,
+      source: dataset.source || defaults.source,
+      slidesPerView: dataset.slidesPerView
+        ? TestimonialCarousel.parseBreakpoints(dataset.slidesPerView)
+        : defaults.slidesPerView,
+      wrap: dataset.wrap || defaults.wrap,
+      interval: dataset.interval !== undefined ? Number(dataset.interval) || 0 : defaults.interval,
+      ...overrides
+    };
+  }
+
+  // "0:1, 1100:2" -> { 0: 1, 1100: 2 }
+  static parseBreakpoints(value) {
+    return value.split(',').reduce((breakpoints, entry) => {
+      const [width, count] = entry.split(':').map(part => Number(part.trim()));
+      if (Number.isFinite(width) && count > 0) breakpoints[width] = count;
+      return breakpoints;
+    }, {});
+  }
+
+  async init() {
+    await this.loadSource();
+
+    this.slides = Array.from(this.track.querySelectorAll('.testimonial-slide'));
+    this.updateSummary();
+    if (!this.slides.length) return;
+
+    this.bindEvents();
+    this.observeSize();
+  }
+
+  async loadSource() {
+    const url = this.options.source;
+    if (!url) return;
+
+    try {
+      const data = await Utils.loadJson(url);
+      const items = Array.isArray(data) ? data : data.items || [];
+      this.track.insertAdjacentHTML('beforeend', items.map(item => TestimonialCarousel.renderSlide(item)).join(''));
+    } catch (error) {
+      console.warn(`Could not load testimonials from ${url}:`, error);
+    }
+  }
+
+  // Same markup as the static slides in testimonials.html: a schema.org
+  // Review of the page's Person, with its Rating when there is one
+  static renderSlide(item) {
+    const escape = Utils.escapeHtml;
+    const rating = Math.max(0, Math.min(5, Math.round(Number(item.rating) || 0)));
+    const body = String(item.body || '').split(/\n{2,}/).map(escape).join('<br><br>');
+    const label = Utils.formatMessage(config.carousel.messages.rating, { rating: i18n.formatNumber(rating) });
+    const stars = rating ? `
+      <div class="stars-container" itemprop="reviewRating" itemscope itemtype="https://schema.org/Rating" aria-label="${escape(label)}">
+        <meta itemprop="ratingValue" content="${rating}">
+        <meta itemprop="bestRating" content="5">
+        ${'★'.repeat(rating)}${'☆'.repeat(5 - rating)}
+      </div>` : '';
+
+    return `
+      <article class="testimonial-slide" itemprop="review" itemscope itemtype="https://schema.org/Review">
+        <div class="testimonial-content">
+          <div class="testimonial-avatar" aria-hidden="true"><i class="fas fa-user-circle"></i></div>
+          <p itemprop="reviewBody">${body}</p>
+          ${stars}
+          <div itemprop="author" itemscope itemtype="https://schema.org/Person">
+            <h4 itemprop="name">${escape(item.author || '')}</h4>
+            ${item.role ? `<span itemprop="jobTitle">${escape(item.role)}</span>` : ''}
+          </div>
+          ${item.datePublished ? `<meta itemprop="datePublished" content="${escape(item.datePublished)}">` : ''}
+        </div>
+      </article>
+    `;
+  }
+
+  // Average of every slide's Rating, as the page's schema.org AggregateRating
+  updateSummary() {
+    const summary = this.root.querySelector('.testimonial-summary');
+    if (!summary) return;
+
+    const ratings = this.slides
+      .map(slide => Number(slide.querySelector('[itemprop="reviewRating"] [itemprop="ratingValue"]')?.content))
+      .filter(rating => rating > 0);
+
+    summary.hidden = !ratings.length;
+    if (!ratings.length) return;
+
+    const average = Math.round(ratings.reduce((sum, rating) => sum + rating, 0) / ratings.length * 10) / 10;
+    const text = i18n.plural(config.carousel.messages.summary, ratings.length);
+
+    summary.innerHTML = `
+      <meta itemprop="ratingValue" content="${average}">
+      <meta itemprop="reviewCount" content="${ratings.length}">
+      <meta itemprop="bestRating" content="5">
+      <span class="stars-container" aria-hidden="true">${'★'.repeat(Math.round(average))}${'☆'.repeat(5 - Math.round(average))}</span>
+      <span class="testimonial-summary-text">${Utils.escapeHtml(Utils.formatMessage(text, {
+        rating: i18n.formatNumber(average, { minimumFractionDigits: 1, maximumFractionDigits: 1 })
+      }))}</span>
+    `;
+  }
+
+  bindEvents() {
+    this.prevBtn?.addEventListener('click', () => this.navigate('button', () => this.prev()));
+    this.nextBtn?.addEventListener('click', () => this.navigate('button', () => this.next()));
+
+    this.track.addEventListener('keydown', this.handleKeydown);
+    this.track.addEventListener('transitionend', this.handleTransitionEnd);
+
+    // Swipe with mouse, pen or touch; vertical scrolling is left to the browser (touch-action in CSS)
+    this.track.addEventListener('pointerdown', this.handlePointerDown);
+    this.track.addEventListener('pointermove', this.handlePointerMove);
+    this.track.addEventListener('pointerup', this.handlePointerUp);
+    this.track.addEventListener('pointercancel', this.handlePointerUp);
+
+    this.root.addEventListener('mouseenter', () => this.pause('hover'));
+    this.root.addEventListener('mouseleave', () => this.resume('hover'));
+    this.root.addEventListener('focusin', () => this.pause('focus'));
+    this.root.addEventListener('focusout', (e) => {
+      if (!this.root.contains(e.relatedTarget)) this.resume('focus');
+    });
+
+    document.addEventListener('visibilitychange', this.handleVisibility);
+    this.reducedMotion?.addEventListener?.('change', this.handleMotionChange);
+    if (document.hidden) this.pausedBy.add('hidden');
+  }
+
+  // The slides-per-view breakpoints follow the carousel's own width, so the
+  // same options work in a sidebar or full width
+  observeSize() {
+    this.layout();
+
+    if (!('ResizeObserver' in window)) {
+      window.addEventListener('resize', () => {
+        clearTimeout(this.resizeTimeout);
+        this.resizeTimeout = setTimeout(() => this.layout(), config.resizeDelay);
+      });
+      return;
+    }
+
+    this.resizeObserver = new ResizeObserver(() => this.layout());
+    this.resizeObserver.observe(this.root);
+  }
+
+  layout() {
+    const perView = this.perViewFor(this.root.clientWidth);
+
+    if (perView !== this.perView) {
+      const current = this.realIndex();
+
+      this.perView = perView;
+      this.root.style.setProperty('--slides-per-view', perView);
+      this.root.classList.toggle('is-static', this.pageCount() < 2);
+
+      this.createClones();
+      this.createDots();
+      this.index = Math.min(current, this.pageCount() - 1);
+      this.startAutoAdvance();
+    }
+
+    // Offsets are percentages, so a resize only needs a re-render when the slide count changes
+    this.goToSlide(this.index, { animate: false });
+  }
+
+  perViewFor(width) {
+    const matching = Object.entries(this.options.slidesPerView)
+      .map(([breakpoint, count]) => [Number(breakpoint), count])
+      .filter(([breakpoint]) => width >= breakpoint)
+      .sort((a, b) => b[0] - a[0]);
+
+    const perView = matching.length ? matching[0][1] : 1;
+    return Math.max(1, Math.min(perView, this.slides.length));
+  }
+
+  isLoop() {
+    return this.options.wrap === 'loop' && this.pageCount() > 1;
+  }
+
+  // Positions a visitor can move to: every slide when looping, otherwise until the last slide is in view
+  pageCount() {
+    if (!this.perView) return 1;
+    return this.options.wrap === 'loop' && this.slides.length > this.perView
+      ? this.slides.length
+      : this.slides.length - this.perView + 1;
+  }
+
+  realIndex() {
+    const count = this.pageCount();
+    return ((this.index % count) + count) % count;
+  }
+
+  // Looping shows copies of the first and last slides at either end; they are
+  // never focusable or announced
+  createClones() {
+    this.clones.forEach(clone => clone.remove());
+    this.clones = [];
+    if (!this.isLoop()) return;
+
+    const before = this.slides.slice(-this.perView);
+    const after = this.slides.slice(0, this.perView);
+
+    const clone = slide => {
+      const copy = slide.cloneNode(true);
+      copy.classList.add('is-clone');
+      copy.setAttribute('aria-hidden', 'true');
+      copy.setAttribute('inert', '');
+      copy.removeAttribute('itemscope');
+      copy.querySelectorAll('[itemprop], [itemscope]').forEach(element => {
+        element.removeAttribute('itemprop');
+        element.removeAttribute('itemscope');
+        element.removeAttribute('itemtype');
+      });
+      this.clones.push(copy);
+      return copy;
+    };
+
+    before.forEach(slide => this.track.insertBefore(clone(slide), this.slides[0]));
+    after.forEach(slide => this.track.appendChild(clone(slide)));
+  }
+
+  createDots() {
+    if (!this.dotsContainer) return;
+
+    this.dotsContainer.innerHTML = '';
+    this.dots = [];
+
+    const count = this.pageCount();
+    if (count < 2) return;
+
+    for (let index = 0; index < count; index++) {
+      const dot = document.createElement('button');
+      dot.type = 'button';
+      dot.className = 'carousel-dot';
+      dot.setAttribute('aria-label', Utils.formatMessage(config.carousel.messages.goTo, {
+        number: i18n.formatNumber(index + 1)
+      }));
+      dot.addEventListener('click', () => this.navigate('dot', () => this.goToSlide(index)));
+
+      this.dotsContainer.appendChild(dot);
+      this.dots.push(dot);
+    }
+  }
+
+  handleKeydown(e) {
+    // Arrow keys follow the reading direction
+    const rtl = this.isRtl();
+    if (e.key === (rtl ? 'ArrowRight' : 'ArrowLeft')) this.navigate('key', () => this.prev());
+    if (e.key === (rtl ? 'ArrowLeft' : 'ArrowRight')) this.navigate('key', () => this.next());
+  }
+
+  handlePointerDown(e) {
+    if (e.button !== 0 || this.pageCount() < 2) return;
+
+    this.drag = { id: e.pointerId, startX: e.clientX, x: e.clientX };
+    this.track.setPointerCapture?.(e.pointerId);
+    this.pause('drag');
+  }
+
+  handlePointerMove(e) {
+    if (this.drag?.id === e.pointerId) this.drag.x = e.clientX;
+  }
+
+  handlePointerUp(e) {
+    if (this.drag?.id !== e.pointerId) return;
+
+    // Positive when swiping towards the start of the line, which reveals the next slide
+    const diff = (this.drag.startX - this.drag.x) * (this.isRtl() ? -1 : 1);
+    this.drag = null;
+
+    if (Math.abs(diff) > this.options.swipeThreshold) {
+      this.navigate('swipe', () => (diff > 0 ? this.next() : this.prev()));
+    }
+
+    this.resume('drag');
+  }
+
+  // Moves made by the visitor, as opposed to autoplay, are reported to analytics
+  navigate(method, move) {
+    move();
+    analytics.track('carousel_navigate', { method, slide: this.realIndex() + 1 });
+  }
+
+  handleTransitionEnd(e) {
+    if (e.target === this.track && e.propertyName === 'transform') this.settle();
+  }
+
+  handleVisibility() {
+    if (document.hidden) {
+      this.pause('hidden');
+    } else {
+      this.resume('hidden');
+    }
+  }
+
+  handleMotionChange() {
+    this.startAutoAdvance();
+  }
+
+  prefersReducedMotion() {
+    return Boolean(this.reducedMotion?.matches);
+  }
+
+  goToSlide(index, { animate = true } = {}) {
+    const count = this.pageCount();
+
+    if (this.isLoop()) {
+      // One step past either end lands on a clone; settle() then jumps to the real slide
+      this.index = Math.max(-1, Math.min(count, index));
+    } else {
+      // Rewind: past the end goes back to the start, and the other way round
+      this.index = index < 0 ? count - 1 : index >= count ? 0 : index;
+    }
+
+    const moving = animate && !this.prefersReducedMotion();
+    this.setPosition(moving);
+    this.updateDots();
+    this.updateSlides();
+
+    if (!moving) this.settle();
+  }
+
+  setPosition(animate) {
+    const offset = this.index + (this.isLoop() ? this.perView : 0);
+    const direction = this.isRtl() ? 1 : -1;
+
+    // Percentages of the track width, which is the carousel's width
+    if (!animate) this.track.style.transition = 'none';
+    this.track.style.transform = `translateX(${direction * offset * 100 / this.perView}%)`;
+
+    if (!animate) {
+      void this.track.offsetWidth;
+      this.track.style.transition = '';
+    }
+  }
+
+  settle() {
+    if (!this.isLoop() || (this.index >= 0 && this.index < this.pageCount())) return;
+
+    this.index = this.realIndex();
+    this.setPosition(false);
+  }
+
+  isRtl() {
+    return getComputedStyle(this.track).direction === 'rtl';
+  }
+
+  next() {
+    this.settle();
+    this.goToSlide(this.index + 1);
+  }
+
+  prev() {
+    this.settle();
+    this.goToSlide(this.index - 1);
+  }
+
+  updateDots() {
+    const current = this.realIndex();
+
+    this.dots.forEach((dot, index) => {
+      dot.classList.toggle('active', index === current);
+      dot.setAttribute('aria-current', index === current);
+    });
+  }
+
+  updateSlides() {
+    const first = this.realIndex();
+    const count = this.slides.length;
+
+    this.slides.forEach((slide, index) => {
+      const visible = (index - first + count) % count < this.perView;
+      slide.setAttribute('aria-hidden', !visible);
+      slide.querySelector('.testimonial-content')?.setAttribute('tabindex', visible ? '0' : '-1');
+    });
+  }
+
+  pause(reason) {
+    this.pausedBy.add(reason);
+    this.stopAutoAdvance();
+  }
+
+  resume(reason) {
+    this.pausedBy.delete(reason);
+    this.startAutoAdvance();
+  }
+
+  // No autoplay with reduced motion: content that moves by itself is what that setting is about
+  startAutoAdvance() {
+    this.stopAutoAdvance();
+    if (!this.options.interval || this.pageCount() < 2 || this.pausedBy.size || this.prefersReducedMotion()) return;
+
+    this.interval = setInterval(() => this.next(), this.options.interval);
+  }
+
+  stopAutoAdvance() {
+    clearInterval(this.interval);
+    this.interval = null;
+  }
+
+  destroy() {
+    this.stopAutoAdvance();
+    this.resizeObserver?.disconnect();
+    clearTimeout(this.resizeTimeout);
+    this.clones.forEach(clone => clone.remove());
+    this.clones = [];
+
+    document.removeEventListener('visibilitychange', this.handleVisibility);
+    this.reducedMotion?.removeEventListener?.('change', this.handleMotionChange);
+  }
+}
+
+/**
+ * Zoom and pan for one image at a time
+ * Wheel and pinch zoom around the pointer, drag to pan while zoomed,
+ * double-click toggles between fit and 1:1.
+ */
+class ImageZoom {
+  constructor(viewport, options = config.zoom) {
+    this.viewport = viewport;
+    this.options = options;
+    this.img = null;
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.pointers = new Map();
+    this.gesture = null;
+    this.onChange = null;
+    this.reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+
+    this.handleWheel = this.handleWheel.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerMove = this.handlePointerMove.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleDoubleClick = this.handleDoubleClick.bind(this);
+  }
+
+  attach(img) {
+    this.detach();
+    this.img = img;
+    this.img.classList.add('zoomable');
+    this.img.draggable = false;
+
+    this.img.addEventListener('wheel', this.handleWheel, { passive: false });
+    this.img.addEventListener('pointerdown', this.handlePointerDown);
+    this.img.addEventListener('pointermove', this.handlePointerMove);
+    this.img.addEventListener('pointerup', this.handlePointerUp);
+    this.img.addEventListener('pointercancel', this.handlePointerUp);
+    this.img.addEventListener('dblclick', this.handleDoubleClick);
+
+    this.reset(false);
+  }
+
+  detach() {
+    if (!this.img) return;
+
+    this.img.removeEventListener('wheel', this.handleWheel);
+    this.img.removeEventListener('pointerdown', this.handlePointerDown);
+    this.img.removeEventListener('pointermove', this.handlePointerMove);
+    this.img.removeEventListener('pointerup', this.handlePointerUp);
+    this.img.removeEventListener('pointercancel', this.handlePointerUp);
+    this.img.removeEventListener('dblclick', this.handleDoubleClick);
+
+    this.img = null;
+    this.pointers.clear();
+    this.gesture = null;
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+  }
+
+  isZoomed() {
+    return this.scale > 1;
+  }
+
+  // Scale at which one image pixel is one screen pixel
+  getNaturalScale() {
+    if (!this.img?.naturalWidth || !this.img.clientWidth) return 1;
+    return this.img.naturalWidth / this.img.clientWidth;
+  }
+
+  // Position of a client point relative to the untransformed image box
+  toImagePoint(clientX, clientY) {
+    const rect = this.img.getBoundingClientRect();
+    return {
+      x: clientX - rect.left + this.x,
+      y: clientY - rect.top + this.y
+    };
+  }
+
+  getCenter() {
+    const rect = this.img.getBoundingClientRect();
+    return { x: rect.left + rect.width / 2, y: rect.top + rect.height / 2 };
+  }
+
+  zoomTo(scale, clientX, clientY, animate = true) {
+    if (!this.img) return;
+
+    const center = clientX === undefined ? this.getCenter() : { x: clientX, y: clientY };
+    const point = this.toImagePoint(center.x, center.y);
+    const next = Math.min(Math.max(scale, 1), this.options.maxScale);
+    const ratio = next / this.scale;
+
+    // Keep the point under the cursor where it is
+    this.x = point.x - (point.x - this.x) * ratio;
+    this.y = point.y - (point.y - this.y) * ratio;
+    this.scale = next;
+
+    this.apply(animate);
+  }
+
+  zoomBy(factor, clientX, clientY) {
+    this.zoomTo(this.scale * factor, clientX, clientY);
+  }
+
+  panBy(dx, dy) {
+    this.x += dx;
+    this.y += dy;
+    this.apply(false);
+  }
+
+  reset(animate = true) {
+    this.scale = 1;
+    this.x = 0;
+    this.y = 0;
+    this.apply(animate);
+  }
+
+  toggleActualSize(clientX, clientY) {
+    if (this.isZoomed()) {
+      this.reset();
+    } else {
+      // Images smaller than the viewport still get a useful zoom
+      this.zoomTo(Math.max(this.getNaturalScale(), this.options.step * 2), clientX, clientY);
+    }
+  }
+
+  // Keep the zoomed image covering its box, and a fit image in place
+  clamp() {
+    const width = this.img.clientWidth;
+    const height = this.img.clientHeight;
+
+    this.x = Math.min(0, Math.max(width - width * this.scale, this.x));
+    this.y = Math.min(0, Math.max(height - height * this.scale, this.y));
+  }
+
+  apply(animate) {
+    if (!this.img) return;
+
+    this.clamp();
+    this.img.classList.toggle('animate', animate && !this.reducedMotion?.matches);
+    this.img.classList.toggle('zoomed', this.isZoomed());
+    this.img.style.transform = this.isZoomed()
+      ? `translate(${this.x}px, ${this.y}px) scale(${this.scale})`
+      : '';
+
+    this.onChange?.(this.scale);
+  }
+
+  handleWheel(e) {
+    e.preventDefault();
+    this.zoomTo(this.scale * Math.exp(-e.deltaY * this.options.wheelSpeed), e.clientX, e.clientY, false);
+  }
+
+  handleDoubleClick(e) {
+    this.toggleActualSize(e.clientX, e.clientY);
+  }
+
+  handlePointerDown(e) {
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    this.img.setPointerCapture?.(e.pointerId);
+    this.startGesture();
+  }
+
+  handlePointerMove(e) {
+    if (!this.pointers.has(e.pointerId)) return;
+    this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (!this.gesture) return;
+    const points = Array.from(this.pointers.values());
+
+    if (this.gesture.type === 'pinch' && points.length >= 2) {
+      const distance = Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y);
+      const mid = { x: (points[0].x + points[1].x) / 2, y: (points[0].y + points[1].y) / 2 };
+      this.zoomTo(this.gesture.scale * distance / this.gesture.distance, mid.x, mid.y, false);
+    } else if (this.gesture.type === 'pan' && this.isZoomed()) {
+      this.panBy(points[0].x - this.gesture.x, points[0].y - this.gesture.y);
+      this.gesture.x = points[0].x;
+      this.gesture.y = points[0].y;
+    }
+  }
+
+  handlePointerUp(e) {
+    this.pointers.delete(e.pointerId);
+    this.startGesture();
+  }
+
+  startGesture() {
+    const points = Array.from(this.pointers.values());
+
+    if (points.length >= 2) {
+      this.gesture = {
+        type: 'pinch',
+        scale: this.scale,
+        distance: Math.hypot(points[0].x - points[1].x, points[0].y - points[1].y) || 1
+      };
+    } else if (points.length === 1) {
+      this.gesture = { type: 'pan', x: points[0].x, y: points[0].y };
+    } else {
+      this.gesture = null;
+    }
+
+    this.img?.classList.toggle('panning', this.gesture?.type === 'pan' && this.isZoomed());
+  }
+}
+
+/**
+ * PDF viewer
+ * Renders a PDF page by page with the self-hosted pdf.js in vendor/pdfjs,
+ * loaded only when the first document is opened.
+ */
+class PdfViewer {
+  constructor(container, options = config.pdf) {
+    this.container = container;
+    this.options = options;
+    this.doc = null;
+    this.pageNumber = 1;
+    this.scale = 1;
+    this.renderTask = null;
+    this.thumbnailToken = 0;
+    this.destroyed = false;
+  }
+
+  static loadLibrary(options = config.pdf) {
+    if (!PdfViewer.library) {
+      const url = new URL(options.libraryUrl, document.baseURI).href;
+
+      PdfViewer.library = import(url).then(pdfjs => {
+        pdfjs.GlobalWorkerOptions.workerSrc = new URL(options.workerUrl, document.baseURI).href;
+        return pdfjs;
+      });
+
+      // Let a later open try again
+      PdfViewer.library.catch(() => {
+        PdfViewer.library = null;
+      });
+    }
+
+    return PdfViewer.library;
+  }
+
+  async load(url) {
+    this.renderShell();
+
+    const pdfjs = await PdfViewer.loadLibrary(this.options);
+    const task = pdfjs.getDocument({ url, isEvalSupported: false });
+    this.loadingTask = task;
+
+    const doc = await task.promise;
+    if (this.destroyed) {
+      doc.destroy();
+      return;
+    }
+
+    this.doc = doc;
+    this.pageCountEl.textContent = doc.numPages;
+    this.pageInput.max = doc.numPages;
+
+    await this.goTo(1);
+    this.renderThumbnails().catch(error => this.handleError(error));
+  }
+
+  renderShell() {
+    const messages = this.options.messages;
+    const escape = Utils.escapeHtml;
+
+    this.container.innerHTML = `
+      <div class="pdf-viewer">
+        <div class="pdf-controls" role="toolbar" aria-label="${escape(messages.controls)}">
+          <button type="button" class="pdf-btn" data-pdf="prev" aria-label="${escape(messages.prev)}">
+            <i class="fas fa-chevron-up" aria-hidden="true"></i>
+          </button>
+          <label class="pdf-page">
+            <span class="visually-hidden">${escape(messages.pageInput)}</span>
+            <input type="number" class="pdf-page-input" min="1" value="1" inputmode="numeric">
+            <span aria-hidden="true">/</span>
+            <span class="pdf-page-count">…</span>
+          </label>
+          <button type="button" class="pdf-btn" data-pdf="next" aria-label="${escape(messages.next)}">
+            <i class="fas fa-chevron-down" aria-hidden="true"></i>
+          </button>
+        </div>
+        <div class="pdf-stage">
+          <div class="loading modal-loading">
+            ${escape(config.modal.messages.loading)}
+          </div>
+          <canvas class="pdf-canvas" hidden></canvas>
+        </div>
+        <div class="pdf-thumbnails" role="list" aria-label="${escape(messages.pages)}"></div>
+        <p class="visually-hidden pdf-status" aria-live="polite"></p>
+      </div>
+    `;
+
+    this.stage = this.container.querySelector('.pdf-stage');
+    this.canvas = this.container.querySelector('.pdf-canvas');
+    this.pageInput = this.container.querySelector('.pdf-page-input');
+    this.pageCountEl = this.container.querySelector('.pdf-page-count');
+    this.thumbnails = this.container.querySelector('.pdf-thumbnails');
+    this.statusEl = this.container.querySelector('.pdf-status');
+
+    this.container.querySelector('.pdf-controls').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-pdf]')?.dataset.pdf;
+      if (action === 'prev') this.prev();
+      if (action === 'next') this.next();
+    });
+
+    this.pageInput.addEventListener('change', () => {
+      this.goTo(Number(this.pageInput.value)).catch(error => this.handleError(error));
+    });
+  }
+
+  async goTo(pageNumber) {
+    if (!this.doc) return;
+
+    this.pageNumber = Math.min(Math.max(Math.round(pageNumber) || 1, 1), this.doc.numPages);
+    this.pageInput.value = this.pageNumber;
+    this.statusEl.textContent = Utils.formatMessage(this.options.messages.status, {
+      number: i18n.formatNumber(this.pageNumber),
+      count: i18n.formatNumber(this.doc.numPages)
+    });
+    this.updateThumbnails();
+
+    await this.renderPage();
+  }
+
+  next() {
+    return this.goTo(this.pageNumber + 1).catch(error => this.handleError(error));
+  }
+
+  prev() {
+    return this.goTo(this.pageNumber - 1).catch(error => this.handleError(error));
+  }
+
+  zoomBy(factor) {
+    this.setScale(this.scale * factor);
+  }
+
+  setScale(scale) {
+    this.scale = Math.min(Math.max(scale, 1), this.options.maxScale);
+    this.onZoom?.(this.scale);
+    this.renderPage().catch(error => this.handleError(error));
+  }
+
+  async renderPage() {
+    // Zooming before the document has loaded, or after it was closed
+    if (!this.doc) return;
+
+    const page = await this.doc.getPage(this.pageNumber);
+    if (this.destroyed) return;
+
+    // Fit the page into the stage, then apply the zoom
+    const base = page.getViewport({ scale: 1 });
+    const available = {
+      width: Math.max(this.stage.clientWidth, 200),
+      height: Math.max(window.innerHeight * 0.7, 200)
+    };
+    const fit = Math.min(available.width / base.width, available.height / base.height);
+    const viewport = page.getViewport({ scale: fit * this.scale });
+    const ratio = window.devicePixelRatio || 1;
+
+    this.renderTask?.cancel();
+
+    this.canvas.width = Math.floor(viewport.width * ratio);
+    this.canvas.height = Math.floor(viewport.height * ratio);
+    this.canvas.style.width = `${Math.floor(viewport.width)}px`;
+    this.canvas.style.height = `${Math.floor(viewport.height)}px`;
+
+    this.renderTask = page.render({
+      canvasContext: this.canvas.getContext('2d'),
+      viewport,
+      transform: ratio !== 1 ? [ratio, 0, 0, ratio, 0, 0] : null
+    });
+
+    try {
+      await this.renderTask.promise;
+      this.stage.querySelector('.loading')?.remove();
+      this.canvas.hidden = false;
+    } catch (error) {
+      // A newer render replaced this one
+      if (error?.name !== 'RenderingCancelledException') throw error;
+    }
+  }
+
+  async renderThumbnails() {
+    const token = ++this.thumbnailToken;
+    // destroy() clears this.doc while the loop below is still awaiting pages
+    const { doc } = this;
+    const stale = () => token !== this.thumbnailToken || this.destroyed;
+
+    if (!doc) return;
+
+    for (let number = 1; number <= doc.numPages; number++) {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'pdf-thumbnail';
+      button.setAttribute('role', 'listitem');
+      button.setAttribute('aria-label', Utils.formatMessage(this.options.messages.page, { number: i18n.formatNumber(number) }));
+      button.dataset.page = number;
+      button.innerHTML = `<canvas aria-hidden="true"></canvas><span>${number}</span>`;
+      button.addEventListener('click', () => this.goTo(number).catch(error => this.handleError(error)));
+      this.thumbnails.appendChild(button);
+    }
+    this.updateThumbnails();
+
+    // Draw them one at a time so the main page is not held up
+    for (let number = 1; number <= doc.numPages; number++) {
+      if (stale()) return;
+
+      const page = await doc.getPage(number);
+      if (stale()) return;
+
+      const base = page.getViewport({ scale: 1 });
+      const viewport = page.getViewport({ scale: this.options.thumbnailWidth / base.width });
+      const canvas = this.thumbnails.querySelector(`[data-page="${number}"] canvas`);
+
+      canvas.width = Math.floor(viewport.width);
+      canvas.height = Math.floor(viewport.height);
+      await page.render({ canvasContext: canvas.getContext('2d'), viewport }).promise.catch(() => {});
+    }
+  }
+
+  // Once destroyed, rejections are pdf.js shutting its worker down, not failures
+  handleError(error) {
+    if (this.destroyed) return;
+
+    console.error('PDF rendering failed:', error);
+    errorReporter.capture(error, { category: 'caught', component: 'PdfViewer' });
+  }
+
+  updateThumbnails() {
+    this.thumbnails?.querySelectorAll('.pdf-thumbnail').forEach(button => {
+      const current = Number(button.dataset.page) === this.pageNumber;
+      button.classList.toggle('active', current);
+      button.setAttribute('aria-current', current ? 'page' : 'false');
+      if (current) button.scrollIntoView?.({ block: 'nearest', inline: 'nearest' });
+    });
+  }
+
+  destroy() {
+    this.destroyed = true;
+    this.thumbnailToken++;
+    this.renderTask?.cancel();
+    this.loadingTask?.destroy();
+    this.doc = null;
+  }
+}
+
+PdfViewer.library = null;
+
+/**
+ * Video player
+ * Plays a clip in the modal with custom controls. The source is only set
+ * when the clip is opened and released again on destroy().
+ */
+class VideoPlayer {
+  constructor(container, options = config.video) {
+    this.container = container;
+    this.options = options;
+    this.video = null;
+    this.trackIndex = -1;
+  }
+
+  // data-captions="en:path/to/clip.en.vtt, ur:path/to/clip.ur.vtt"
+  static parseTracks(value = '') {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+      const [srclang, ...src] = entry.split(':');
+      let label = srclang;
+
+      try {
+        label = new Intl.DisplayNames([srclang], { type: 'language' }).of(srclang) || srclang;
+      } catch (error) {
+        // Unknown language code, keep it as the label
+      }
+
+      return { srclang, label, src: src.join(':') };
+    });
+  }
+
+  load(src, { title = '', tracks = [] } = {}) {
+    this.tracks = tracks;
+    this.render(title);
+
+    tracks.forEach(({ src: trackSrc, srclang, label }) => {
+      const track = document.createElement('track');
+      track.kind = 'captions';
+      track.src = trackSrc;
+      track.srclang = srclang;
+      track.label = label;
+      this.video.appendChild(track);
+    });
+
+    this.captionsBtn.hidden = !tracks.length;
+    this.video.src = src;
+    this.video.volume = this.options.volume;
+
+    // Opening a clip is a request to watch it; browsers may still refuse
+    return this.video.play().catch(() => {});
+  }
+
+  render(title) {
+    const messages = this.options.messages;
+    const escape = Utils.escapeHtml;
+
+    this.container.innerHTML = `
+      <div class="video-player">
+        <video class="video-element" preload="metadata" playsinline></video>
+        <div class="video-controls" role="group" aria-label="${escape(messages.controls)}">
+          <button type="button" class="video-btn" data-video="play" aria-label="${escape(messages.play)}" aria-keyshortcuts="k Space">
+            <i class="fas fa-play" aria-hidden="true"></i>
+          </button>
+          <input type="range" class="video-seek" min="0" max="0" step="0.1" value="0" aria-label="${escape(messages.seek)}">
+          <span class="video-time" aria-hidden="true">0:00 / 0:00</span>
+          <button type="button" class="video-btn" data-video="mute" aria-label="${escape(messages.mute)}" aria-keyshortcuts="m" aria-pressed="false">
+            <i class="fas fa-volume-up" aria-hidden="true"></i>
+          </button>
+          <input type="range" class="video-volume" min="0" max="1" step="0.05" aria-label="${escape(messages.volume)}">
+          <button type="button" class="video-btn" data-video="captions" aria-label="${escape(messages.captionsOff)} (C)" aria-keyshortcuts="c" aria-pressed="false" hidden>
+            <i class="fas fa-closed-captioning" aria-hidden="true"></i>
+          </button>
+        </div>
+        <p class="visually-hidden video-status" aria-live="polite"></p>
+      </div>
+    `;
+
+    this.video = this.container.querySelector('.video-element');
+    this.video.setAttribute('aria-label', title || messages.video);
+    this.playBtn = this.container.querySelector('[data-video="play"]');
+    this.muteBtn = this.container.querySelector('[data-video="mute"]');
+    this.captionsBtn = this.container.querySelector('[data-video="captions"]');
+    this.seek = this.container.querySelector('.video-seek');
+    this.volume = this.container.querySelector('.video-volume');
+    this.timeEl = this.container.querySelector('.video-time');
+    this.statusEl = this.container.querySelector('.video-status');
+
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.container.querySelector('.video-controls').addEventListener('click', (e) => {
+      const action = e.target.closest('[data-video]')?.dataset.video;
+      if (action === 'play') this.togglePlay();
+      if (action === 'mute') this.toggleMute();
+      if (action === 'captions') this.cycleCaptions();
+    });
+
+    this.video.addEventListener('click', () => this.togglePlay());
+    this.seek.addEventListener('input', () => {
+      this.video.currentTime = Number(this.seek.value);
+    });
+    this.volume.addEventListener('input', () => {
+      this.video.volume = Number(this.volume.value);
+      this.video.muted = this.video.volume === 0;
+    });
+
+    this.video.addEventListener('loadedmetadata', () => {
+      this.seek.max = this.video.duration || 0;
+      this.updateTime();
+    });
+    this.video.addEventListener('timeupdate', () => this.updateTime());
+    this.video.addEventListener('play', () => this.updatePlayButton());
+    this.video.addEventListener('pause', () => this.updatePlayButton());
+    this.video.addEventListener('ended', () => this.updatePlayButton());
+    this.video.addEventListener('volumechange', () => this.updateVolume());
+    this.video.addEventListener('error', () => this.onError?.(this.video.error));
+  }
+
+  togglePlay() {
+    if (this.video.paused || this.video.ended) {
+      this.video.play().catch(() => {});
+    } else {
+      this.video.pause();
+    }
+  }
+
+  seekBy(seconds) {
+    const duration = this.video.duration || 0;
+    this.video.currentTime = Math.min(Math.max(this.video.currentTime + seconds, 0), duration);
+    this.statusEl.textContent = Utils.formatTime(this.video.currentTime);
+  }
+
+  toggleMute() {
+    this.video.muted = !this.video.muted;
+    if (!this.video.muted && this.video.volume === 0) {
+      this.video.volume = this.options.volume;
+    }
+  }
+
+  changeVolume(delta) {
+    this.video.muted = false;
+    this.video.volume = Math.min(Math.max(this.video.volume + delta, 0), 1);
+    this.statusEl.textContent = Utils.formatMessage(this.options.messages.volumeStatus, {
+      percent: i18n.formatNumber(this.video.volume, { style: 'percent' })
+    });
+  }
+
+  // Off, then each caption track in turn
+  cycleCaptions() {
+    const textTracks = Array.from(this.video.textTracks);
+    if (!textTracks.length) return;
+
+    this.trackIndex = this.trackIndex + 1 < textTracks.length ? this.trackIndex + 1 : -1;
+    textTracks.forEach((track, index) => {
+      track.mode = index === this.trackIndex ? 'showing' : 'hidden';
+    });
+
+    const messages = this.options.messages;
+    const label = this.trackIndex >= 0
+      ? Utils.formatMessage(messages.captions, { label: textTracks[this.trackIndex].label })
+      : messages.captionsOff;
+    this.captionsBtn.setAttribute('aria-pressed', this.trackIndex >= 0);
+    this.captionsBtn.setAttribute('aria-label', `${label} (C)`);
+    this.statusEl.textContent = label;
+  }
+
+  updatePlayButton() {
+    const playing = !this.video.paused && !this.video.ended;
+    this.playBtn.setAttribute('aria-label', playing ? this.options.messages.pause : this.options.messages.play);
+    this.playBtn.querySelector('i').classList.toggle('fa-pause', playing);
+    this.playBtn.querySelector('i').classList.toggle('fa-play', !playing);
+  }
+
+  updateTime() {
+    const current = Utils.formatTime(this.video.currentTime);
+    const duration = Utils.formatTime(this.video.duration);
+
+    this.seek.value = this.video.currentTime;
+    this.seek.setAttribute('aria-valuetext', Utils.formatMessage(this.options.messages.position, { current, duration }));
+    this.timeEl.textContent = `${current} / ${duration}`;
+  }
+
+  updateVolume() {
+    const muted = this.video.muted || this.video.volume === 0;
+
+    this.volume.value = muted ? 0 : this.video.volume;
+    this.muteBtn.setAttribute('aria-pressed', muted);
+    this.muteBtn.setAttribute('aria-label', muted ? this.options.messages.unmute : this.options.messages.mute);
+    this.muteBtn.querySelector('i').classList.toggle('fa-volume-mute', muted);
+    this.muteBtn.querySelector('i').classList.toggle('fa-volume-up', !muted);
+  }
+
+  // Player shortcuts: k/Space play, j/l seek, m mute, c captions, Up/Down volume
+  handleKey(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+
+    // Focused controls keep their own keys
+    const control = e.target.closest?.('button, input');
+    if (control && (e.key === ' ' || (control.type === 'range' && e.key.startsWith('Arrow')))) {
+      return true;
+    }
+
+    const actions = {
+      ' ': () => this.togglePlay(),
+      k: () => this.togglePlay(),
+      j: () => this.seekBy(-this.options.seekStep),
+      l: () => this.seekBy(this.options.seekStep),
+      m: () => this.toggleMute(),
+      c: () => this.cycleCaptions(),
+      ArrowUp: () => this.changeVolume(this.options.volumeStep),
+      ArrowDown: () => this.changeVolume(-this.options.volumeStep)
+    };
+
+    const action = actions[e.key.length === 1 ? e.key.toLowerCase() : e.key];
+    if (!action) return false;
+
+    e.preventDefault();
+    action();
+    return true;
+  }
+
+  destroy() {
+    if (!this.video) return;
+
+    // Stop playback and drop the buffered data
+    this.video.pause();
+    this.video.removeAttribute('src');
+    this.video.load();
+    this.video = null;
+  }
+}
+
+/**
+ * Video posters
+ * Fills each video card with a frame grabbed from the clip itself once the
+ * card scrolls into view. Frames are cached in localStorage.
+ */
+class VideoPosters {
+  constructor(options = config.video) {
+    this.options = options;
+    this.queue = Promise.resolve();
+    this.init();
+  }
+
+  init() {
+    const buttons = document.querySelectorAll('.view-btn[data-type="video"]');
+    if (!buttons.length) return;
+
+    if (!('IntersectionObserver' in window)) {
+      buttons.forEach(button => this.enqueue(button));
+      return;
+    }
+
+    const observer = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          observer.unobserve(entry.target);
+          this.enqueue(entry.target.querySelector('.view-btn[data-type="video"]'));
+        }
+      });
+    }, { rootMargin: '200px 0px' });
+
+    buttons.forEach(button => observer.observe(button.closest('.portfolio-image') || button));
+  }
+
+  // One clip at a time so the cards do not compete for bandwidth
+  enqueue(button) {
+    this.queue = this.queue.then(() => this.render(button)).catch(error => {
+      console.warn('Video poster capture failed:', error);
+    });
+  }
+
+  async render(button) {
+    const card = button.closest('.portfolio-image');
+    const img = card?.querySelector('.video-poster');
+    if (!img) return;
+
+    const src = button.getAttribute('data-image');
+    const key = `${this.options.posterKey}:${src}`;
+    let poster = this.loadPoster(key);
+
+    if (!poster) {
+      poster = await VideoPosters.capture(src, this.options);
+      this.savePoster(key, poster);
+    }
+
+    img.src = poster.image;
+    img.hidden = false;
+    card.classList.add('has-poster');
+
+    const durationEl = card.querySelector('.video-duration');
+    if (durationEl && poster.duration) {
+      durationEl.textContent = Utils.formatTime(poster.duration);
+      durationEl.hidden = false;
+    }
+  }
+
+  static capture(src, { posterTime, posterWidth, posterQuality }) {
+    return new Promise((resolve, reject) => {
+      const video = document.createElement('video');
+      video.muted = true;
+      video.playsInline = true;
+      video.preload = 'metadata';
+
+      const release = () => {
+        video.removeAttribute('src');
+        video.load();
+      };
+
+      video.addEventListener('loadedmetadata', () => {
+        // Short clips still get a frame from their first half
+        video.currentTime = Math.min(posterTime, (video.duration || 0) / 2);
+      }, { once: true });
+
+      video.addEventListener('seeked', () => {
+        try {
+          const canvas = document.createElement('canvas');
+          canvas.width = posterWidth;
+          canvas.height = Math.round(posterWidth * video.videoHeight / video.videoWidth) || posterWidth;
+          canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+          resolve({
+            image: canvas.toDataURL('image/jpeg', posterQuality),
+            duration: video.duration
+          });
+        } catch (error) {
+          reject(error);
+        } finally {
+          release();
+        }
+      }, { once: true });
+
+      video.addEventListener('error', () => {
+        errorReporter.reportAsset(src, { tag: 'video', component: 'VideoPosters' });
+        release();
+        reject(new Error(`Could not load ${src}`));
+      }, { once: true });
+
+      video.src = src;
+    });
+  }
+
+  loadPoster(key) {
+    try {
+      return JSON.parse(localStorage.getItem(key));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  savePoster(key, poster) {
+    try {
+      localStorage.setItem(key, JSON.stringify(poster));
+    } catch (error) {
+      // Storage full or disabled; the frame is captured again next visit
+    }
+  }
+}
+
+/**
+ * Image modal system
+ * Opens a `.view-btn` as a gallery of the other items in the same
+ * active portfolio category (or branding subcategory).
+ */
+class ImageModal {
+  constructor() {
+    this.modal = document.getElementById('imageModal');
+    this.modalContent = this.modal?.querySelector('.modal-content');
+    this.modalClose = this.modal?.querySelector('.modal-close');
+    this.prevBtn = this.modal?.querySelector('.modal-prev');
+    this.nextBtn = this.modal?.querySelector('.modal-next');
+    this.titleEl = this.modal?.querySelector('.modal-title');
+    this.descriptionEl = this.modal?.querySelector('.modal-description');
+    this.counterEl = this.modal?.querySelector('.modal-counter');
+    this.toolbar = this.modal?.querySelector('.modal-toolbar');
+    this.zoomLevelEl = this.modal?.querySelector('.modal-zoom-level');
+    this.downloadLink = this.modal?.querySelector('.modal-download');
+    this.fullscreenBtn = this.modal?.querySelector('[data-action="fullscreen"]');
+    this.zoom = this.modalContent ? new ImageZoom(this.modalContent) : null;
+    this.pdfViewer = null;
+    this.videoPlayer = null;
+
+    this.items = [];
+    this.index = 0;
+    this.opener = null;
+    this.loadToken = 0;
+    
+    if (this.modal) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.bindEvents();
+    this.addSwipeSupport();
+    this.setupToolbar();
+  }
+
+  setupToolbar() {
+    if (this.zoom) {
+      this.zoom.onChange = (scale) => this.updateZoomLevel(scale);
+    }
+
+    this.toolbar?.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (button) this.handleAction(button.dataset.action);
+    });
+
+    // Hide the fullscreen toggle where the API is missing (e.g. iPhone Safari)
+    if (this.fullscreenBtn && !(document.fullscreenEnabled || document.webkitFullscreenEnabled)) {
+      this.fullscreenBtn.hidden = true;
+    }
+
+    ['fullscreenchange', 'webkitfullscreenchange'].forEach(type => {
+      document.addEventListener(type, () => this.updateFullscreenButton());
+    });
+  }
+
+  handleAction(action) {
+    // Zoom applies to whichever viewer is showing; videos only go fullscreen
+    const target = this.pdfViewer || this.zoom;
+    if (this.videoPlayer && action !== 'fullscreen') return;
+
+    switch (action) {
+      case 'zoom-in':
+        target?.zoomBy(config.zoom.step);
+        break;
+      case 'zoom-out':
+        target?.zoomBy(1 / config.zoom.step);
+        break;
+      case 'zoom-reset':
+        this.pdfViewer ? this.pdfViewer.setScale(1) : this.zoom?.reset();
+        break;
+      case 'fullscreen':
+        this.toggleFullscreen();
+        break;
+    }
+  }
+
+  updateZoomLevel(scale) {
+    if (this.zoomLevelEl) {
+      this.zoomLevelEl.textContent = i18n.formatNumber(scale, { style: 'percent', maximumFractionDigits: 0 });
+    }
+
+    const zoomOut = this.toolbar?.querySelector('[data-action="zoom-out"]');
+    if (zoomOut) zoomOut.disabled = scale <= 1;
+  }
+
+  getFullscreenElement() {
+    return document.fullscreenElement || document.webkitFullscreenElement || null;
+  }
+
+  toggleFullscreen() {
+    if (this.getFullscreenElement()) {
+      this.exitFullscreen();
+      return;
+    }
+
+    const request = this.modal.requestFullscreen || this.modal.webkitRequestFullscreen;
+    Promise.resolve(request?.call(this.modal)).catch(error => {
+      console.warn('Fullscreen request failed:', error);
+    });
+  }
+
+  exitFullscreen() {
+    if (!this.getFullscreenElement()) return;
+
+    const exit = document.exitFullscreen || document.webkitExitFullscreen;
+    Promise.resolve(exit?.call(document)).catch(() => {});
+  }
+
+  updateFullscreenButton() {
+    if (!this.fullscreenBtn) return;
+
+    const isFullscreen = this.getFullscreenElement() === this.modal;
+    this.fullscreenBtn.setAttribute('aria-pressed', isFullscreen);
+    this.fullscreenBtn.setAttribute('aria-label', isFullscreen
+      ? config.modal.messages.exitFullscreen
+      : config.modal.messages.enterFullscreen);
+    this.fullscreenBtn.querySelector('i')?.classList.toggle('fa-compress', isFullscreen);
+    this.fullscreenBtn.querySelector('i')?.classList.toggle('fa-expand', !isFullscreen);
+  }
+
+  static isEditable(element) {
+    return Boolean(element?.closest?.('input, textarea, select, [contenteditable]:not([contenteditable="false"])'));
+  }
+
+  // Zoom and fullscreen shortcuts: + - 0 f
+  handleShortcut(e) {
+    if (e.ctrlKey || e.metaKey || e.altKey) return false;
+    if (ImageModal.isEditable(e.target)) return false;
+
+    const actions = {
+      '+': 'zoom-in',
+      '=': 'zoom-in',
+      '-': 'zoom-out',
+      '_': 'zoom-out',
+      '0': 'zoom-reset',
+      f: 'fullscreen',
+      F: 'fullscreen'
+    };
+
+    const action = actions[e.key];
+    if (!action) return false;
+
+    e.preventDefault();
+    this.handleAction(action);
+    return true;
+  }
+
+  bindEvents() {
+    // View buttons, delegated so generated portfolio items work too
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('.view-btn');
+      if (!button) return;
+
+      e.preventDefault();
+      this.open(button);
+    });
+
+    // Close events
+    if (this.modalClose) {
+      this.modalClose.addEventListener('click', () => this.close());
+    }
+
+    this.prevBtn?.addEventListener('click', () => this.prev());
+    this.nextBtn?.addEventListener('click', () => this.next());
+
+    this.modal?.addEventListener('click', (e) => {
+      if (e.target === this.modal) this.close();
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (!this.isOpen()) return;
+      if (this.videoPlayer?.handleKey(e)) return;
+
+      // Digits and arrows typed into a field (the PDF page number) are its own
+      if (ImageModal.isEditable(e.target) && e.key !== 'Escape' && e.key !== 'Tab') return;
+
+      switch (e.key) {
+        case 'Escape':
+          this.close();
+          break;
+        case 'ArrowLeft':
+          e.preventDefault();
+          this.prev();
+          break;
+        case 'ArrowRight':
+          e.preventDefault();
+          this.next();
+          break;
+        case 'PageUp':
+        case 'PageDown':
+          if (this.pdfViewer) {
+            e.preventDefault();
+            e.key === 'PageUp' ? this.pdfViewer.prev() : this.pdfViewer.next();
+          }
+          break;
+        case 'Tab':
+          this.trapFocus(e);
+          break;
+        default:
+          this.handleShortcut(e);
+      }
+    });
+  }
+
+  addSwipeSupport() {
+    let startX = 0;
+    let startY = 0;
+
+    this.modal.addEventListener('touchstart', (e) => {
+      // Pinches and drags on a zoomed image are not swipes
+      if (e.touches.length !== 1 || this.zoom?.isZoomed()) {
+        startX = 0;
+        return;
+      }
+      startX = e.touches[0].clientX;
+      startY = e.touches[0].clientY;
+    }, { passive: true });
+
+    this.modal.addEventListener('touchend', (e) => {
+      if (!startX) return;
+
+      const diffX = startX - e.changedTouches[0].clientX;
+      const diffY = startY - e.changedTouches[0].clientY;
+      const threshold = 50;
+
+      // Ignore mostly vertical gestures
+      if (Math.abs(diffX) > threshold && Math.abs(diffX) > Math.abs(diffY)) {
+        diffX > 0 ? this.next() : this.prev();
+      }
+
+      startX = 0;
+      startY = 0;
+    });
+  }
+
+  isOpen() {
+    return this.modal?.classList.contains('open');
+  }
+
+  // The visible .view-btn items next to `button`
+  getGalleryItems(button) {
+    const scope = button.closest('.branding-subcategory') ||
+      button.closest('.portfolio-category') ||
+      document;
+
+    return Array.from(scope.querySelectorAll('.view-btn')).filter(item => (
+      !item.closest('.portfolio-item')?.hidden
+    ));
+  }
+
+  getItemDetails(button) {
+    const portfolioItem = button.closest('.portfolio-item');
+    const src = button.getAttribute('data-image');
+
+    return {
+      src,
+      type: ImageModal.getMediaType(button, src),
+      alt: button.getAttribute('data-alt') || config.modal.messages.defaultAlt,
+      title: portfolioItem?.querySelector('h5')?.textContent.trim() || '',
+      tracks: VideoPlayer.parseTracks(button.getAttribute('data-captions') || '')
+    };
+  }
+
+  // data-type wins; otherwise guess from the file extension
+  static getMediaType(button, src = '') {
+    if (button.dataset.type) return button.dataset.type;
+
+    const path = src.split(/[?#]/)[0];
+    if (/\.pdf$/i.test(path)) return 'pdf';
+    if (/\.(mp4|webm|ogv|mov)$/i.test(path)) return 'video';
+    return 'image';
+  }
+
+  open(button) {
+    if (!button.getAttribute('data-image') || !this.modalContent) return;
+
+    this.items = this.getGalleryItems(button);
+    this.index = Math.max(this.items.indexOf(button), 0);
+    if (!this.items.length) this.items = [button];
+
+    // Remember where to send focus back to
+    if (!this.isOpen()) this.opener = button;
+
+    this.modal?.classList.add('open');
+    this.modal?.removeAttribute('aria-hidden');
+    document.body.style.overflow = 'hidden';
+
+    this.show(this.index);
+    
+    // Focus management for accessibility
+    this.modalClose?.focus();
+  }
+
+  show(index) {
+    const count = this.items.length;
+    this.index = (index + count) % count;
+
+    const { src, type, alt, title, tracks } = this.getItemDetails(this.items[this.index]);
+
+    // The file path is the item's id in data/portfolio.json
+    analytics.track('item_view', { item: src, type });
+
+    // Each item starts unzoomed
+    this.zoom?.detach();
+    this.destroyPdf();
+    this.destroyVideo();
+    this.updateZoomLevel(1);
+    this.updateDownload(src, type);
+    this.toolbar?.querySelectorAll('[data-action^="zoom"]').forEach(tool => {
+      tool.hidden = type === 'video';
+    });
+
+    this.updateCaption(title, alt);
+    this.updateNavigation();
+
+    if (type === 'pdf') {
+      this.loadPdf(src, title || alt);
+    } else if (type === 'video') {
+      this.loadVideo(src, title || alt, tracks);
+    } else {
+      this.loadImage(src, alt);
+    }
+
+    this.preloadNeighbours();
+  }
+
+  loadPdf(src, title) {
+    const token = ++this.loadToken;
+    const viewer = new PdfViewer(this.modalContent);
+    viewer.onZoom = (scale) => this.updateZoomLevel(scale);
+    this.pdfViewer = viewer;
+
+    viewer.load(src).catch(error => {
+      if (token !== this.loadToken) return;
+      console.error('PDF rendering failed:', error);
+
+      this.destroyPdf();
+      this.modalContent.innerHTML = `
+        <div class="pdf-fallback">
+          <i class="fas fa-file-pdf" aria-hidden="true"></i>
+          <p>${Utils.escapeHtml(config.modal.messages.pdfError)}</p>
+          <a class="btn primary" download></a>
+        </div>
+      `;
+
+      const link = this.modalContent.querySelector('a');
+      link.href = src;
+      link.textContent = Utils.formatMessage(config.modal.messages.downloadFile, { title: title || config.modal.messages.pdf });
+    });
+  }
+
+  destroyPdf() {
+    this.pdfViewer?.destroy();
+    this.pdfViewer = null;
+  }
+
+  loadVideo(src, title, tracks) {
+    const token = ++this.loadToken;
+    const player = new VideoPlayer(this.modalContent);
+    this.videoPlayer = player;
+
+    player.onError = () => {
+      if (token !== this.loadToken) return;
+
+      this.destroyVideo();
+      this.modalContent.innerHTML = `
+        <div class="video-fallback">
+          <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+          <p>${Utils.escapeHtml(config.modal.messages.videoError)}</p>
+          <a class="btn primary" download></a>
+        </div>
+      `;
+
+      const link = this.modalContent.querySelector('a');
+      link.href = src;
+      link.textContent = Utils.formatMessage(config.modal.messages.downloadFile, { title: title || config.modal.messages.video });
+    };
+
+    player.load(src, { title, tracks });
+  }
+
+  destroyVideo() {
+    this.videoPlayer?.destroy();
+    this.videoPlayer = null;
+  }
+
+  loadImage(src, alt) {
+    // Ignore images that finish loading after the visitor moved on
+    const token = ++this.loadToken;
+
+    // Create image with loading state
+    this.modalContent.innerHTML = `
+      <div class="loading modal-loading">
+        ${Utils.escapeHtml(config.modal.messages.loading)}
+      </div>
+    `;
+
+    const img = new Image();
+    img.src = this.displaySource(src);
+    img.alt = alt;
+    img.loading = 'eager';
+
+    img.onload = () => {
+      if (token !== this.loadToken) return;
+      this.modalContent.innerHTML = '';
+      this.modalContent.appendChild(img);
+      this.zoom?.attach(img);
+    };
+
+    // Never in the document, so the global error listener does not see it
+    img.onerror = () => {
+      errorReporter.reportAsset(img.src, { tag: 'img', component: 'ImageModal' });
+      if (token !== this.loadToken) return;
+      this.modalContent.innerHTML = `
+        <div class="modal-error">
+          <i class="fas fa-exclamation-triangle" aria-hidden="true"></i>
+          <p>${Utils.escapeHtml(config.modal.messages.imageError)}</p>
+        </div>
+      `;
+    };
+  }
+
+  // Largest generated variant the viewport can show; downloads keep the original
+  displaySource(src) {
+    const width = Math.max(window.innerWidth, window.innerHeight) * (window.devicePixelRatio || 1);
+    return ResponsiveImages.pick(src, Math.round(width));
+  }
+
+  preloadNeighbours() {
+    if (this.items.length < 2) return;
+
+    [this.index - 1, this.index + 1].forEach(index => {
+      const button = this.items[(index + this.items.length) % this.items.length];
+      const src = button.getAttribute('data-image');
+
+      // Documents and videos are only fetched when opened
+      if (src && ImageModal.getMediaType(button, src) === 'image') new Image().src = this.displaySource(src);
+    });
+  }
+
+  updateDownload(src, type = 'image') {
+    if (!this.downloadLink) return;
+
+    this.downloadLink.href = src;
+    this.downloadLink.setAttribute('download', decodeURIComponent(src.split('/').pop()));
+    const { messages } = config.modal;
+    const labels = { pdf: messages.downloadPdf, video: messages.downloadVideo };
+    this.downloadLink.setAttribute('aria-label', labels[type] || messages.downloadImage);
+  }
+
+  updateCaption(title, description) {
+    if (this.titleEl) this.titleEl.textContent = title || description;
+    if (this.descriptionEl) this.descriptionEl.textContent = title ? description : '';
+  }
+
+  updateNavigation() {
+    const hasGallery = this.items.length > 1;
+
+    [this.prevBtn, this.nextBtn].forEach(button => {
+      if (button) button.hidden = !hasGallery;
+    });
+
+    if (this.counterEl) {
+      this.counterEl.textContent = hasGallery ? Utils.formatMessage(config.modal.messages.counter, {
+        number: i18n.formatNumber(this.index + 1),
+        count: i18n.formatNumber(this.items.length)
+      }) : '';
+    }
+  }
+
+  next() {
+    if (this.items.length > 1) this.show(this.index + 1);
+  }
+
+  prev() {
+    if (this.items.length > 1) this.show(this.index - 1);
+  }
+
+  getFocusableElements() {
+    return Array.from(this.modal.querySelectorAll(
+      'button, [href], input, select, textarea, [tabindex]:not([tabindex="-1"])'
+    )).filter(el => !el.disabled && !el.hidden && el.offsetParent !== null);
+  }
+
+  // Keep Tab and Shift+Tab inside the dialog
+  trapFocus(e) {
+    const focusable = this.getFocusableElements();
+    if (!focusable.length) return;
+
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+
+    if (e.shiftKey && (document.activeElement === first || !this.modal.contains(document.activeElement))) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (document.activeElement === last || !this.modal.contains(document.activeElement))) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  close() {
+    this.modal?.classList.remove('open');
+    this.modal?.setAttribute('aria-hidden', 'true');
+    document.body.style.overflow = '';
+
+    // Stop any pending image from replacing the content
+    this.loadToken++;
+    this.zoom?.detach();
+    this.destroyPdf();
+    this.destroyVideo();
+    this.exitFullscreen();
+    this.modalContent.innerHTML = '';
+
+    // Return focus to the button that opened the modal
+    if (this.opener?.isConnected) {
+      this.opener.focus();
+    }
+    this.opener = null;
+  }
+}
+
+/**
+ * Contact submission error
+ * `code` is one of: config, network, timeout, http, validation
+ */
+class SubmissionError extends Error {
+  constructor(message, { code = 'http', status = 0, fieldErrors = {} } = {}) {
+    super(message);
+    this.name = 'SubmissionError';
+    this.code = code;
+    this.status = status;
+    this.fieldErrors = fieldErrors;
+  }
+
+  get isRetryable() {
+    return this.code === 'network' || this.code === 'timeout' || this.status >= 500;
+  }
+}
+
+/**
+ * Contact form transports
+ * Each transport resolves once the message has been handed off,
+ * or rejects with a SubmissionError.
+ */
+const ContactTransport = {
+  transports: {
+    // JSON POST to our own endpoint (see tools/dev-server.js)
+    json(payload, options) {
+      return ContactTransport.post(options.endpoint, {
+        headers: {
+          'Content-Type': 'application/json',
+          Accept: 'application/json'
+        },
+        body: JSON.stringify(payload)
+      }, options.timeout);
+    },
+
+    // Form-encoded POST, as expected by hosted form backends
+    form(payload, options) {
+      return ContactTransport.post(options.endpoint, {
+        headers: { Accept: 'application/json' },
+        body: new URLSearchParams(payload)
+      }, options.timeout);
+    },
+
+    // Hand the message to the visitor's email client
+    mailto(payload, options) {
+      if (!options.mailto) {
+        return Promise.reject(new SubmissionError('No mailto address configured', { code: 'config' }));
+      }
+
+      window.location.href = ContactTransport.buildMailto(payload, options.mailto);
+      return Promise.resolve({ ok: true, transport: 'mailto' });
+    }
+  },
+
+  send(name, payload, options) {
+    const transport = this.transports[name];
+
+    if (!transport) {
+      return Promise.reject(new SubmissionError(`Unknown transport "${name}"`, { code: 'config' }));
+    }
+
+    return transport(payload, options);
+  },
+
+  async post(endpoint, init, timeout) {
+    if (!endpoint) {
+      throw new SubmissionError('No contact endpoint configured', { code: 'config' });
+    }
+
+    let response;
+    try {
+      response = await Utils.fetchWithTimeout(endpoint, { method: 'POST', ...init }, timeout);
+    } catch (error) {
+      const code = error.name === 'AbortError' ? 'timeout' : 'network';
+      throw new SubmissionError(code === 'timeout' ? 'Request timed out' : 'Network error', { code });
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (response.ok) {
+      return { ...data, ok: true, transport: 'http' };
+    }
+
+    const fieldErrors = this.parseFieldErrors(data);
+    throw new SubmissionError(data.message || `Server responded with ${response.status}`, {
+      code: Object.keys(fieldErrors).length ? 'validation' : 'http',
+      status: response.status,
+      fieldErrors
+    });
+  },
+
+  // Accepts { errors: { field: message } } and { errors: [{ field, message }] }
+  parseFieldErrors(data) {
+    const errors = data?.errors;
+    if (!errors) return {};
+
+    if (Array.isArray(errors)) {
+      return errors.reduce((fieldErrors, error) => {
+        if (error?.field) fieldErrors[error.field] = error.message || '';
+        return fieldErrors;
+      }, {});
+    }
+
+    return typeof errors === 'object' ? { ...errors } : {};
+  },
+
+  buildMailto(payload, address) {
+    const subject = payload.subject || `Message from ${payload.name}`;
+    const signature = [payload.name, payload.email, payload.phone].filter(Boolean);
+    const body = [payload.message, '', '--', ...signature].join('\n');
+
+    return `mailto:${address}?subject=${encodeURIComponent(subject)}&body=${encodeURIComponent(body)}`;
+  }
+};
+
+/**
+ * Anti-spam rules
+ * Each rule returns true when a submission looks automated.
+ */
+const SpamRules = {
+  linkPattern: /(https?:\/\/|www\.)\S+/gi,
+
+  // Hidden field that only bots fill in
+  honeypot(payload, options) {
+    return Boolean(payload[options.field]);
+  },
+
+  // Humans need a few seconds to write a message
+  timeTrap(payload, options) {
+    return !(payload._elapsed >= options.minElapsed);
+  },
+
+  rateLimit(payload, options, history) {
+    const recent = history.sent.filter(time => Date.now() - time < options.window);
+    return recent.length >= options.max;
+  },
+
+  links(payload, options) {
+    const links = (payload.message || '').match(SpamRules.linkPattern) || [];
+    return links.length > options.max;
+  },
+
+  // The same few words pasted over and over
+  repetition(payload, options) {
+    const words = (payload.message || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length < options.minWords) return false;
+
+    return new Set(words).size / words.length < options.minUniqueRatio;
+  },
+
+  duplicate(payload, options, history) {
+    const hash = Utils.hashString(payload.message || '');
+    return history.messages.some(entry => entry.hash === hash && Date.now() - entry.time < options.window);
+  }
+};
+
+/**
+ * Contact form spam guard
+ * Runs the configured SpamRules and keeps a per-browser send history
+ * (timestamps and message hashes only) in localStorage.
+ */
+class SpamGuard {
+  constructor(options = config.spam) {
+    this.options = options;
+    this.renderedAt = Date.now();
+  }
+
+  // Add the metadata the rules (and the server) need
+  stamp(payload) {
+    return { ...payload, _elapsed: Date.now() - this.renderedAt };
+  }
+
+  isSpam(payload) {
+    const history = this.loadHistory();
+
+    return Object.entries(this.options.rules).some(([name, ruleOptions]) => {
+      const rule = SpamRules[name];
+      return Boolean(ruleOptions) && typeof rule === 'function' && rule(payload, ruleOptions, history);
+    });
+  }
+
+  record(payload) {
+    const history = this.loadHistory();
+    const now = Date.now();
+
+    history.sent.push(now);
+    history.messages.push({ hash: Utils.hashString(payload.message || ''), time: now });
+
+    // Only keep what the rules can still look at
+    const maxAge = Math.max(
+      this.options.rules.rateLimit?.window || 0,
+      this.options.rules.duplicate?.window || 0
+    );
+    history.sent = history.sent.filter(time => now - time < maxAge);
+    history.messages = history.messages.filter(entry => now - entry.time < maxAge);
+
+    this.saveHistory(history);
+  }
+
+  loadHistory() {
+    try {
+      const stored = JSON.parse(localStorage.getItem(this.options.storageKey));
+      return {
+        sent: Array.isArray(stored?.sent) ? stored.sent : [],
+        messages: Array.isArray(stored?.messages) ? stored.messages : []
+      };
+    } catch (error) {
+      return { sent: [], messages: [] };
+    }
+  }
+
+  saveHistory(history) {
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify(history));
+    } catch (error) {
+      // Storage full or disabled; the server-side rules still apply
+    }
+  }
+}
+
+/**
+ * Promise wrapper around a single IndexedDB object store
+ */
+class IdbStore {
+  constructor(dbName, storeName) {
+    this.dbName = dbName;
+    this.storeName = storeName;
+    this.dbPromise = null;
+  }
+
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) {
+        reject(new Error('IndexedDB is not supported'));
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, 1);
+      request.onupgradeneeded = () => {
+        request.result.createObjectStore(this.storeName, { keyPath: 'id', autoIncrement: true });
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+
+    // Allow a later retry if opening failed
+    this.dbPromise.catch(() => {
+      this.dbPromise = null;
+    });
+
+    return this.dbPromise;
+  }
+
+  // Run `callback(store)` in one transaction and resolve with its result
+  async transaction(mode, callback) {
+    const db = await this.open();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(this.storeName, mode);
+      let result;
+
+      Promise.resolve(callback(tx.objectStore(this.storeName))).then(value => {
+        result = value;
+      }, reject);
+
+      tx.oncomplete = () => resolve(result);
+      tx.onerror = () => reject(tx.error);
+      tx.onabort = () => reject(tx.error);
+    });
+  }
+
+  request(mode, operation) {
+    return this.transaction(mode, store => IdbStore.promisify(operation(store)));
+  }
+
+  getAll() {
+    return this.request('readonly', store => store.getAll());
+  }
+
+  count() {
+    return this.request('readonly', store => store.count());
+  }
+
+  add(value) {
+    return this.request('readwrite', store => store.add(value));
+  }
+
+  put(value) {
+    return this.request('readwrite', store => store.put(value));
+  }
+
+  delete(key) {
+    return this.request('readwrite', store => store.delete(key));
+  }
+
+  // Read-modify-write a record atomically; `updater` returns the new value or null to skip
+  update(key, updater) {
+    return this.transaction('readwrite', async store => {
+      const current = await IdbStore.promisify(store.get(key));
+      const next = current ? updater(current) : null;
+      if (next) store.put(next);
+      return next;
+    });
+  }
+
+  static promisify(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+}
+
+/**
+ * Service worker
+ * Registers sw.js (offline caching and the contact outbox's background
+ * sync) and offers a reload through the toast when a new deploy is
+ * waiting to take over.
+ */
+class ServiceWorkerManager {
+  constructor(options = config.serviceWorker) {
+    this.options = options;
+    this.registration = null;
+    this.updateTimer = null;
+    this.reloading = false;
+
+    if ('serviceWorker' in navigator) {
+      this.init();
+    }
+  }
+
+  async init() {
+    this.bindEvents();
+
+    try {
+      this.registration = await navigator.serviceWorker.register(this.options.url);
+    } catch (error) {
+      console.warn('Service worker registration failed:', error);
+      return;
+    }
+
+    // Deployed while no tab was open: the new worker is already waiting
+    if (this.registration.waiting && navigator.serviceWorker.controller) {
+      this.promptUpdate(this.registration.waiting);
+    }
+
+    this.registration.addEventListener('updatefound', () => {
+      const worker = this.registration.installing;
+
+      worker?.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.promptUpdate(worker);
+        }
+      });
+    });
+
+    this.updateTimer = setInterval(() => {
+      this.registration.update().catch(() => {});
+    }, this.options.updateInterval);
+  }
+
+  bindEvents() {
+    const hadController = Boolean(navigator.serviceWorker.controller);
+
+    // The new worker took over (from this tab or another one); load its pages.
+    // The first install also fires this, but there is nothing stale to replace then.
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (!hadController || this.reloading) return;
+      this.reloading = true;
+      window.location.reload();
+    });
+
+    window.addEventListener('offline', () => {
+      toast.show(this.options.messages.offline, 'warning');
+    });
+  }
+
+  promptUpdate(worker) {
+    toast.show(this.options.messages.update, 'success', {
+      duration: this.options.updateDuration,
+      action: {
+        label: this.options.messages.reload,
+        onClick: () => worker.postMessage({ type: 'skip-waiting' })
+      }
+    });
+  }
+}
+
+/**
+ * Contact outbox
+ * Keeps unsent contact messages in IndexedDB and retries them with backoff
+ * when the browser comes back online, on the next page load, or from the
+ * service worker through background sync (see sw.js).
+ */
+class ContactOutbox {
+  constructor() {
+    this.store = new IdbStore(config.outbox.dbName, config.outbox.storeName);
+    this.indicator = null;
+    this.retryTimeout = null;
+    this.flushing = false;
+
+    this.init();
+  }
+
+  init() {
+    this.createIndicator();
+    this.bindEvents();
+    this.flush();
+  }
+
+  bindEvents() {
+    window.addEventListener('online', () => this.flush());
+
+    // Messages sent by the service worker after a background sync
+    navigator.serviceWorker?.addEventListener('message', (e) => {
+      if (e.data?.type !== 'outbox') return;
+      this.announce(e.data.sent, e.data.rejected);
+      this.updateIndicator();
+    });
+  }
+
+  createIndicator() {
+    this.indicator = document.createElement('div');
+    this.indicator.className = 'outbox-indicator';
+    this.indicator.setAttribute('role', 'status');
+    this.indicator.setAttribute('aria-live', 'polite');
+    this.indicator.hidden = true;
+    document.body.appendChild(this.indicator);
+
+    this.updateIndicator();
+  }
+
+  async updateIndicator() {
+    if (!this.indicator) return;
+
+    const count = await this.store.count().catch(() => 0);
+    this.indicator.hidden = count === 0;
+    this.indicator.innerHTML = `<i class="fas fa-clock" aria-hidden="true"></i> ${Utils.escapeHtml(i18n.plural(config.outbox.messages.waiting, count))}`;
+  }
+
+  static isQueueable(options) {
+    return options.transport === 'json' || options.transport === 'form';
+  }
+
+  async enqueue(payload, options) {
+    const now = Date.now();
+
+    await this.store.add({
+      payload,
+      transport: options.transport,
+      endpoint: new URL(options.endpoint, window.location.href).href,
+      timeout: options.timeout,
+      attempts: 0,
+      createdAt: now,
+      nextAttemptAt: now,
+      lockedUntil: 0
+    });
+
+    this.updateIndicator();
+    this.requestSync();
+    this.scheduleFlush(config.outbox.baseDelay);
+  }
+
+  async requestSync() {
+    try {
+      const registration = await navigator.serviceWorker?.getRegistration();
+      await registration?.sync?.register(config.outbox.syncTag);
+    } catch (error) {
+      // Background sync is optional; the page retries by itself
+    }
+  }
+
+  async flush() {
+    if (this.flushing || !navigator.onLine) return;
+    this.flushing = true;
+    clearTimeout(this.retryTimeout);
+
+    let sent = 0;
+    let rejected = 0;
+
+    try {
+      const entries = await this.store.getAll();
+      const due = entries.filter(entry => entry.nextAttemptAt <= Date.now());
+
+      for (const entry of due) {
+        const result = await this.deliver(entry);
+        if (result === 'sent') sent++;
+        if (result === 'rejected') rejected++;
+      }
+
+      this.announce(sent, rejected);
+      this.scheduleNext(await this.store.getAll());
+    } catch (error) {
+      console.warn('Contact outbox unavailable:', error);
+    } finally {
+      this.flushing = false;
+      this.updateIndicator();
+    }
+  }
+
+  async deliver(entry) {
+    // Claim the entry so the service worker does not send it at the same time
+    const now = Date.now();
+    const claimed = await this.store.update(entry.id, current => (
+      current.lockedUntil > now ? null : { ...current, lockedUntil: now + current.timeout * 2 }
+    ));
+
+    if (!claimed) return 'skipped';
+
+    try {
+      await ContactTransport.send(claimed.transport, claimed.payload, {
+        endpoint: claimed.endpoint,
+        timeout: claimed.timeout
+      });
+      await this.store.delete(claimed.id);
+      return 'sent';
+    } catch (error) {
+      // A message the server refuses will never go through, so stop retrying it
+      if (!error.isRetryable) {
+        console.error('Queued message rejected:', error);
+        await this.store.delete(claimed.id);
+        return 'rejected';
+      }
+
+      const attempts = claimed.attempts + 1;
+      await this.store.put({
+        ...claimed,
+        attempts,
+        lockedUntil: 0,
+        lastError: error.message,
+        nextAttemptAt: Date.now() + ContactOutbox.backoff(attempts)
+      });
+      return 'failed';
+    }
+  }
+
+  static backoff(attempts) {
+    const delay = Math.min(config.outbox.baseDelay * 2 ** (attempts - 1), config.outbox.maxDelay);
+    // Jitter so several tabs do not retry in lockstep
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+  }
+
+  scheduleNext(entries) {
+    if (!entries.length) return;
+
+    const next = Math.min(...entries.map(entry => entry.nextAttemptAt));
+    this.scheduleFlush(Math.max(next - Date.now(), 1000));
+  }
+
+  scheduleFlush(delay) {
+    clearTimeout(this.retryTimeout);
+    this.retryTimeout = setTimeout(() => this.flush(), delay);
+  }
+
+  announce(sent = 0, rejected = 0) {
+    if (sent) {
+      toast.show(i18n.plural(config.outbox.messages.sent, sent));
+    }
+
+    if (rejected) {
+      toast.show(config.outbox.messages.rejected, 'error');
+    }
+  }
+
+  destroy() {
+    clearTimeout(this.retryTimeout);
+  }
+}
+
+/**
+ * Validation rules, driven by attributes on each field
+ * A rule returns null when the value passes, or the values for its message.
+ */
+const ValidationRules = {
+  required(value, field) {
+    return field.required && !value ? {} : null;
+  },
+
+  email(value, field) {
+    if (field.type !== 'email' || !value) return null;
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? null : {};
+  },
+
+  minlength(value, field) {
+    const min = Number(field.getAttribute('minlength'));
+    return min && value && value.length < min ? { min, count: value.length } : null;
+  },
+
+  maxlength(value, field) {
+    const max = Number(field.getAttribute('maxlength'));
+    return max && value.length > max ? { max, count: value.length } : null;
+  },
+
+  pattern(value, field) {
+    const pattern = field.getAttribute('pattern');
+    if (!pattern || !value) return null;
+
+    try {
+      return new RegExp(`^(?:${pattern})$`, 'u').test(value) ? null : {};
+    } catch (error) {
+      console.warn('Invalid pattern attribute:', pattern);
+      return null;
+    }
+  },
+
+  // data-phone lists the accepted formats, e.g. data-phone="e164 pk"
+  phone(value, field) {
+    if (!value || (field.type !== 'tel' && field.dataset.phone === undefined)) return null;
+
+    const formats = (field.dataset.phone || 'e164 pk').split(/\s+/).filter(Boolean);
+    const digits = value.replace(/[\s().-]/g, '');
+
+    return formats.some(format => ValidationRules.phoneFormats[format]?.test(digits)) ? null : {};
+  }
+};
+
+// Not a rule: keyed by the names used in data-phone
+Object.defineProperty(ValidationRules, 'phoneFormats', {
+  enumerable: false,
+  value: {
+    e164: /^\+[1-9]\d{7,14}$/,
+    // 03XX XXXXXXX, +92 3XX XXXXXXX or 0092 3XX XXXXXXX
+    pk: /^(?:\+92|0092|92|0)3\d{9}$/
+  }
+});
+
+/**
+ * Async validators, enabled with data-validate-async="name ..."
+ */
+const AsyncValidators = {
+  // Reject domains found in a local JSON list (data-domain-list overrides the default)
+  async emailDomain(value, field) {
+    const domain = value.split('@')[1]?.toLowerCase();
+    if (!domain) return null;
+
+    const list = await Utils.loadJson(field.dataset.domainList || config.validation.domainList).catch(() => []);
+    return Array.isArray(list) && list.includes(domain) ? { domain } : null;
+  }
+};
+
+/**
+ * Declarative form validation
+ * Works on any form: rules come from the field attributes, messages from
+ * config.validation.messages or a data-error-<rule> attribute on the field.
+ */
+class FormValidator {
+  constructor(form, options = {}) {
+    this.form = form;
+    this.options = { handleSubmit: false, ...options };
+    this.pending = new WeakMap();
+    this.counters = new WeakMap();
+    this.counterTimeouts = new WeakMap();
+    this.summary = null;
+
+    if (this.form) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.form.setAttribute('novalidate', '');
+
+    this.getFields().forEach(field => {
+      if (field.required) field.setAttribute('aria-required', 'true');
+      this.setupCounter(field);
+    });
+
+    this.bindEvents();
+  }
+
+  getFields() {
+    return Array.from(this.form.querySelectorAll('input, textarea, select')).filter(field => (
+      !field.disabled &&
+      !['hidden', 'submit', 'reset', 'button'].includes(field.type) &&
+      !field.closest('.form-trap')
+    ));
+  }
+
+  bindEvents() {
+    this.getFields().forEach(field => {
+      field.addEventListener('blur', () => this.validateField(field));
+      field.addEventListener('input', () => {
+        this.clearFieldError(field);
+        this.updateCounter(field);
+      });
+    });
+
+    // Reset fires before the values are cleared
+    this.form.addEventListener('reset', () => setTimeout(() => this.reset()));
+
+    if (this.options.handleSubmit) {
+      this.form.addEventListener('submit', async (e) => {
+        e.preventDefault();
+        if (await this.validateForm()) this.form.submit();
+      });
+    }
+  }
+
+  // Synchronous rules only; async validators run afterwards when `checkAsync` is set
+  validateField(field, { checkAsync = true } = {}) {
+    const error = this.findError(field);
+    this.setFieldValidity(field, !error, error ? this.getMessage(field, error.rule, error.params) : '');
+
+    if (!error && checkAsync) this.validateAsync(field);
+    return !error;
+  }
+
+  findError(field) {
+    const value = field.value.trim();
+
+    for (const [rule, test] of Object.entries(ValidationRules)) {
+      const params = test(value, field);
+      if (params) return { rule, params };
+    }
+
+    return null;
+  }
+
+  async validateAsync(field) {
+    const names = (field.dataset.validateAsync || '').split(/\s+/).filter(name => AsyncValidators[name]);
+    const value = field.value.trim();
+    if (!names.length || !value) return true;
+
+    // Only the latest run for a field may update it
+    const token = {};
+    this.pending.set(field, token);
+    field.setAttribute('aria-busy', 'true');
+
+    try {
+      for (const name of names) {
+        const params = await AsyncValidators[name](value, field);
+        if (this.pending.get(field) !== token) return !field.classList.contains('error');
+
+        if (params) {
+          this.setFieldValidity(field, false, this.getMessage(field, name, params));
+          return false;
+        }
+      }
+      return true;
+    } finally {
+      if (this.pending.get(field) === token) field.removeAttribute('aria-busy');
+    }
+  }
+
+  async validateForm() {
+    const fields = this.getFields();
+    const syncResults = fields.map(field => this.validateField(field, { checkAsync: false }));
+    const asyncResults = await Promise.all(fields.map((field, i) => (
+      syncResults[i] ? this.validateAsync(field) : false
+    )));
+
+    const invalid = fields.filter((_, i) => !asyncResults[i]);
+    this.renderSummary(invalid);
+    return invalid.length === 0;
+  }
+
+  getMessage(field, rule, params = {}) {
+    const attribute = `error${rule.charAt(0).toUpperCase()}${rule.slice(1)}`;
+    const template = field.dataset[attribute] ||
+      (rule === 'pattern' && field.title) ||
+      config.validation.messages[rule] ||
+      config.validation.messages.invalid;
+
+    return Utils.formatMessage(template, params);
+  }
+
+  getLabel(field) {
+    const label = field.labels?.[0]?.textContent ||
+      field.getAttribute('aria-label') ||
+      field.placeholder ||
+      field.name;
+
+    return label.replace(/\s*\*\s*$/, '').trim();
+  }
+
+  setFieldValidity(field, isValid, message) {
+    field.setAttribute('aria-invalid', !isValid);
+
+    // Remove existing error
+    this.removeError(field);
+
+    // Add error message
+    if (!isValid && message) {
+      const errorElement = document.createElement('div');
+      errorElement.className = 'field-error';
+      errorElement.id = `${field.id || field.name}-error`;
+      errorElement.textContent = message;
+      errorElement.setAttribute('role', 'alert');
+
+      field.parentNode.appendChild(errorElement);
+      this.describe(field, errorElement.id, true);
+    }
+
+    // Visual feedback
+    field.classList.toggle('error', !isValid);
+  }
+
+  clearFieldError(field) {
+    field.classList.remove('error');
+    field.removeAttribute('aria-invalid');
+    this.pending.delete(field);
+    field.removeAttribute('aria-busy');
+    this.removeError(field);
+  }
+
+  removeError(field) {
+    const errorElement = field.parentNode.querySelector('.field-error');
+    if (errorElement) {
+      this.describe(field, errorElement.id, false);
+      errorElement.remove();
+    }
+  }
+
+  // Add or remove an id from aria-describedby without touching the others
+  describe(field, id, add) {
+    if (!id) return;
+
+    const ids = (field.getAttribute('aria-describedby') || '').split(/\s+/).filter(value => value && value !== id);
+    if (add) ids.push(id);
+
+    if (ids.length) {
+      field.setAttribute('aria-describedby', ids.join(' '));
+    } else {
+      field.removeAttribute('aria-describedby');
+    }
+  }
+
+  /**
+   * Live character counter for textareas with maxlength, or any field with data-counter
+   */
+  setupCounter(field) {
+    const max = Number(field.getAttribute('maxlength'));
+    const wanted = field.dataset.counter !== undefined || field.tagName === 'TEXTAREA';
+    if (!max || !wanted || field.dataset.counter === 'false') return;
+
+    const counter = document.createElement('div');
+    counter.className = 'char-counter';
+    counter.setAttribute('aria-hidden', 'true');
+
+    // Screen readers only hear about it when the limit gets close
+    const status = document.createElement('div');
+    status.className = 'visually-hidden';
+    status.id = `${field.id || field.name}-counter`;
+    status.setAttribute('aria-live', 'polite');
+
+    field.parentNode.append(counter, status);
+    this.counters.set(field, { element: counter, status, max });
+    this.describe(field, status.id, true);
+    this.updateCounter(field);
+  }
+
+  updateCounter(field) {
+    const counter = this.counters.get(field);
+    if (!counter) return;
+
+    const { element, status, max } = counter;
+    const count = field.value.length;
+    const remaining = max - count;
+    const nearLimit = count >= max * config.validation.counterWarning;
+
+    element.textContent = Utils.formatMessage(config.validation.messages.counter, {
+      count: i18n.formatNumber(count),
+      max: i18n.formatNumber(max)
+    });
+    element.classList.toggle('near-limit', nearLimit);
+
+    clearTimeout(this.counterTimeouts.get(field));
+    this.counterTimeouts.set(field, setTimeout(() => {
+      status.textContent = nearLimit
+        ? i18n.plural(config.validation.messages.remaining, remaining)
+        : '';
+    }, config.validation.counterDelay));
+  }
+
+  /**
+   * Error summary listing every invalid field, linked to the field
+   */
+  renderSummary(invalidFields) {
+    this.summary?.remove();
+    this.summary = null;
+
+    if (!invalidFields.length) return;
+
+    const summary = document.createElement('div');
+    summary.className = 'form-error-summary';
+    summary.setAttribute('role', 'alert');
+    summary.tabIndex = -1;
+
+    const heading = document.createElement('p');
+    heading.textContent = Utils.formatMessage(config.validation.messages.summary, { count: invalidFields.length });
+
+    const list = document.createElement('ul');
+    invalidFields.forEach(field => {
+      const item = document.createElement('li');
+      const link = document.createElement('a');
+      const error = field.parentNode.querySelector('.field-error');
+
+      link.href = `#${field.id}`;
+      link.textContent = `${this.getLabel(field)}: ${error?.textContent || config.validation.messages.invalid}`;
+      link.addEventListener('click', (e) => {
+        e.preventDefault();
+        field.focus();
+      });
+
+      item.appendChild(link);
+      list.appendChild(item);
+    });
+
+    summary.append(heading, list);
+    this.form.prepend(summary);
+    this.summary = summary;
+    summary.focus();
+  }
+
+  reset() {
+    this.summary?.remove();
+    this.summary = null;
+
+    this.getFields().forEach(field => {
+      this.clearFieldError(field);
+      this.updateCounter(field);
+    });
+  }
+}
+
+/**
+ * Form draft autosave
+ * Keeps the visible field values of a form in localStorage while the
+ * visitor types, so an accidental reload does not lose the message.
+ */
+class FormDraft {
+  constructor(form, options = config.draft) {
+    this.form = form;
+    this.options = options;
+    this.saveTimeout = null;
+  }
+
+  getFields() {
+    return Array.from(this.form.querySelectorAll('input, textarea, select')).filter(field => (
+      (field.name || field.id) &&
+      !['hidden', 'password', 'submit', 'reset', 'button', 'file'].includes(field.type) &&
+      !field.closest('.form-trap')
+    ));
+  }
+
+  scheduleSave() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = setTimeout(() => this.save(), this.options.saveDelay);
+  }
+
+  // Write a pending save straight away (e.g. when the page is being hidden)
+  flush() {
+    if (!this.saveTimeout) return;
+    this.save();
+  }
+
+  save() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+
+    const values = this.getFields().reduce((draft, field) => {
+      if (field.value.trim()) draft[field.name || field.id] = field.value;
+      return draft;
+    }, {});
+
+    if (!Object.keys(values).length) {
+      this.clear();
+      return;
+    }
+
+    try {
+      localStorage.setItem(this.options.storageKey, JSON.stringify({ values, savedAt: Date.now() }));
+    } catch (error) {
+      // Storage full or disabled; autosave is best effort
+    }
+  }
+
+  load() {
+    try {
+      const draft = JSON.parse(localStorage.getItem(this.options.storageKey));
+      if (!draft?.values || Date.now() - draft.savedAt > this.options.maxAge) return null;
+      return draft;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  restore(draft = this.load()) {
+    if (!draft) return false;
+
+    this.getFields().forEach(field => {
+      const value = draft.values[field.name || field.id];
+      if (value === undefined) return;
+
+      field.value = value;
+      // Let counters and validators catch up
+      field.dispatchEvent(new Event('input', { bubbles: true }));
+    });
+
+    return true;
+  }
+
+  isEmpty() {
+    return this.getFields().every(field => !field.value.trim());
+  }
+
+  clear() {
+    clearTimeout(this.saveTimeout);
+    this.saveTimeout = null;
+
+    try {
+      localStorage.removeItem(this.options.storageKey);
+    } catch (error) {
+      // Nothing to clear
+    }
+  }
+}
+
+/**
+ * Form handling
+ * Validation, spam guard, draft and transports for #contactForm; other
+ * forms reuse it with their own config group (see config.testimonials).
+ */
+class ContactForm {
+  constructor(outbox = null, form = document.getElementById('contactForm'), settings = config.contact) {
+    this.form = form;
+    this.settings = settings;
+    this.outbox = outbox;
+    this.spamGuard = new SpamGuard({ ...config.spam, ...settings.spam });
+    if (this.form) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.options = this.readOptions();
+    this.validator = new FormValidator(this.form);
+    this.draft = new FormDraft(this.form, {
+      ...config.draft,
+      storageKey: this.settings.draftKey || config.draft.storageKey
+    });
+    this.bindEvents();
+    this.offerDraft();
+  }
+
+  offerDraft() {
+    const draft = this.draft.load();
+    if (!draft || !this.draft.isEmpty()) return;
+
+    const { messages } = this.draft.options;
+
+    toast.show(messages.prompt, 'warning', {
+      action: {
+        label: messages.restore,
+        onClick: () => {
+          this.draft.restore(draft);
+          this.form.querySelector('textarea, input')?.focus();
+        }
+      }
+    });
+  }
+
+  // Transport settings can be overridden with data-* attributes on the form
+  readOptions() {
+    const { dataset } = this.form;
+    const { settings } = this;
+
+    return {
+      transport: dataset.transport || settings.transport,
+      fallbackTransport: dataset.fallbackTransport || settings.fallbackTransport,
+      endpoint: dataset.endpoint || this.form.getAttribute('action') || settings.endpoint,
+      timeout: Number(dataset.timeout) || settings.timeout,
+      mailto: dataset.mailto || settings.mailto
+    };
+  }
+
+  bindEvents() {
+    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
+
+    // Draft autosave; a reset (also used after sending) discards it
+    this.form.addEventListener('input', (e) => {
+      if (e.isTrusted) this.draft.scheduleSave();
+    });
+    this.form.addEventListener('reset', () => this.draft.clear());
+    window.addEventListener('pagehide', () => this.draft.flush());
+  }
+
+  validateField(field) {
+    return this.validator.validateField(field);
+  }
+
+  setFieldValidity(field, isValid, message) {
+    this.validator.setFieldValidity(field, isValid, message);
+  }
+
+  async handleSubmit(e) {
+    e.preventDefault();
+    
+    // Validate all fields; the validator focuses its error summary
+    if (!(await this.validator.validateForm())) {
+      toast.show(this.settings.messages.invalid, 'error');
+      this.trackOutcome('invalid');
+      return;
+    }
+
+    const payload = this.spamGuard.stamp(this.getPayload());
+
+    // Look like a normal send so a bot learns nothing about what tripped
+    if (this.spamGuard.isSpam(payload)) {
+      this.form.reset();
+      toast.show(this.settings.messages.sent);
+      return;
+    }
+
+    // No point trying the network while offline
+    if (!navigator.onLine && await this.queueMessage(payload)) return;
+
+    try {
+      this.setFormState('loading');
+
+      const result = await this.submitForm(payload);
+
+      // Keep the text around for mailto in case no email client opens
+      if (result.transport === 'mailto') {
+        toast.show(this.settings.messages.mailto);
+      } else {
+        this.spamGuard.record(payload);
+        this.form.reset();
+        toast.show(this.settings.messages.sent);
+      }
+
+      this.trackOutcome(result.transport === 'mailto' ? 'mailto' : 'sent');
+
+    } catch (error) {
+      if (!error.isRetryable || !(await this.queueMessage(payload))) {
+        this.handleSubmitError(error);
+      }
+    } finally {
+      this.setFormState('idle');
+    }
+  }
+
+  // Only the outcome is reported; nothing typed into the form leaves it
+  trackOutcome(outcome, props = {}) {
+    analytics.track('form_submit', { form: this.form.id, outcome, ...props });
+  }
+
+  // Save the message for a later retry; resolves false if it cannot be queued
+  async queueMessage(payload) {
+    if (!this.outbox || !ContactOutbox.isQueueable(this.options)) return false;
+
+    try {
+      await this.outbox.enqueue(payload, this.options);
+    } catch (error) {
+      console.warn('Could not queue message:', error);
+      return false;
+    }
+
+    this.spamGuard.record(payload);
+    this.form.reset();
+    toast.show(navigator.onLine
+      ? this.settings.messages.queuedServer
+      : this.settings.messages.queuedOffline, 'warning');
+    this.trackOutcome('queued');
+    return true;
+  }
+
+  handleSubmitError(error) {
+    console.error('Form submission error:', error);
+    this.trackOutcome('failed', { reason: error.code || 'unknown' });
+
+    if (error.code === 'validation' && this.applyFieldErrors(error.fieldErrors)) {
+      toast.show(this.settings.messages.invalid, 'error');
+      return;
+    }
+
+    const { messages } = this.settings;
+    toast.show(error.code === 'timeout' ? messages.timeout : messages.failed, 'error', {
+      action: { label: messages.retry, onClick: () => this.form.requestSubmit() }
+    });
+  }
+
+  // Map server-side field errors back onto the inputs
+  applyFieldErrors(fieldErrors = {}) {
+    let firstInvalid = null;
+
+    Object.entries(fieldErrors).forEach(([name, message]) => {
+      const field = this.getField(name);
+      if (!field) return;
+
+      this.setFieldValidity(field, false, message || config.validation.messages.invalid);
+      firstInvalid = firstInvalid || field;
+    });
+
+    firstInvalid?.focus();
+    return Boolean(firstInvalid);
+  }
+
+  getField(name) {
+    const field = this.form.elements.namedItem(name);
+    return field instanceof Element ? field : null;
+  }
+
+  getPayload() {
+    return Array.from(this.form.querySelectorAll('input, textarea, select')).reduce((payload, field) => {
+      const key = field.name || field.id;
+      if ((field.type === 'radio' || field.type === 'checkbox') && !field.checked) return payload;
+      if (key) payload[key] = field.value.trim();
+      return payload;
+    }, {});
+  }
+
+  setFormState(state) {
+    const submitButton = this.form.querySelector('button[type="submit"]');
+    // Not every form has a reset button (#testimonialForm does not)
+    const resetButton = this.form.querySelector('button[type="reset"]') || {};
+    
+    if (state === 'loading') {
+      submitButton.disabled = true;
+      resetButton.disabled = true;
+      submitButton.classList.add('loading');
+      submitButton.innerHTML = `<i class="fas fa-spinner fa-spin"></i> ${Utils.escapeHtml(this.settings.messages.sending)}`;
+    } else {
+      submitButton.disabled = false;
+      resetButton.disabled = false;
+      submitButton.classList.remove('loading');
+      submitButton.innerHTML = `<i class="fa fa-paper-plane"></i> ${Utils.escapeHtml(this.settings.messages.send)}`;
+    }
+  }
+
+  async submitForm(payload) {
+    const { transport, fallbackTransport } = this.options;
+
+    try {
+      return await ContactTransport.send(transport, payload, this.options);
+    } catch (error) {
+      // Field errors are the visitor's to fix, not a reason to switch transport
+      if (!fallbackTransport || fallbackTransport === transport || error.code === 'validation') {
+        throw error;
+      }
+
+      return ContactTransport.send(fallbackTransport, payload, this.options);
+    }
+  }
+}
+
+/**
+ * Testimonial moderation (moderate.html)
+ * Lists submissions by status and lets the owner edit, approve or reject
+ * them. The password stays in sessionStorage for this tab only and is sent
+ * as a bearer token; tools/routes/testimonials.js does the actual check.
+ */
+class TestimonialModeration {
+  constructor(options = config.moderation) {
+    this.root = document.getElementById('moderation');
+    this.options = options;
+    this.password = null;
+
+    if (this.root) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.loginForm = this.root.querySelector('.moderation-login');
+    this.panel = this.root.querySelector('.moderation-panel');
+    this.statusSelect = this.root.querySelector('#moderation-status');
+    this.list = this.root.querySelector('.moderation-list');
+
+    this.bindEvents();
+
+    const saved = this.loadPassword();
+    if (saved) this.login(saved);
+  }
+
+  bindEvents() {
+    this.loginForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.login(this.loginForm.elements.password.value);
+    });
+
+    this.statusSelect.addEventListener('change', () => this.refresh().catch(error => this.handleError(error)));
+    this.root.querySelector('[data-moderation="logout"]')?.addEventListener('click', () => this.logout());
+
+    this.list.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-action]');
+      if (button) this.act(button.closest('.moderation-entry'), button.dataset.action);
+    });
+  }
+
+  loadPassword() {
+    try {
+      return sessionStorage.getItem(this.options.storageKey);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  savePassword(password) {
+    try {
+      if (password) {
+        sessionStorage.setItem(this.options.storageKey, password);
+      } else {
+        sessionStorage.removeItem(this.options.storageKey);
+      }
+    } catch (error) {
+      // Private mode: log in again after a reload
+    }
+  }
+
+  async login(password) {
+    this.password = password;
+
+    try {
+      await this.refresh();
+    } catch (error) {
+      this.handleError(error);
+      return;
+    }
+
+    this.savePassword(password);
+    this.loginForm.reset();
+    this.loginForm.hidden = true;
+    this.panel.hidden = false;
+  }
+
+  logout() {
+    this.password = null;
+    this.savePassword(null);
+    this.list.innerHTML = '';
+    this.panel.hidden = true;
+    this.loginForm.hidden = false;
+    this.loginForm.elements.password.focus();
+  }
+
+  handleError(error) {
+    console.error('Moderation error:', error);
+
+    if (error.code === 'auth') {
+      toast.show(this.options.messages.wrongPassword, 'error');
+      this.logout();
+      return;
+    }
+
+    const details = Object.values(error.fieldErrors || {}).join(' ');
+    toast.show(Utils.formatMessage(this.options.messages.failed, { message: details || error.message }), 'error');
+  }
+
+  async request(query, init = {}) {
+    const url = `${this.options.endpoint}?${new URLSearchParams(query)}`;
+    let response;
+
+    try {
+      response = await Utils.fetchWithTimeout(url, {
+        ...init,
+        headers: {
+          Accept: 'application/json',
+          Authorization: `Bearer ${this.password}`,
+          ...init.headers
+        }
+      }, this.options.timeout);
+    } catch (error) {
+      throw new SubmissionError(this.options.messages.unavailable, { code: 'network' });
+    }
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok) {
+      throw new SubmissionError(data.message || `Server responded with ${response.status}`, {
+        code: response.status === 401 ? 'auth' : 'http',
+        status: response.status,
+        fieldErrors: ContactTransport.parseFieldErrors(data)
+      });
+    }
+
+    return data;
+  }
+
+  async refresh() {
+    const data = await this.request({ status: this.statusSelect.value });
+    this.render(data.testimonials || []);
+  }
+
+  render(entries) {
+    this.list.innerHTML = entries.length
+      ? entries.map(entry => this.renderEntry(entry)).join('')
+      : `<p class="portfolio-message">${Utils.escapeHtml(this.options.messages.empty)}</p>`;
+  }
+
+  renderEntry(entry) {
+    const escape = Utils.escapeHtml;
+    const { labels, messages } = this.options;
+    const id = escape(entry.id);
+    const received = i18n.formatDate(new Date(entry.receivedAt), { dateStyle: 'medium', timeStyle: 'short' });
+    const ratings = [5, 4, 3, 2, 1].map(value => (
+      `<option value="${value}"${value === entry.rating ? ' selected' : ''}>${'★'.repeat(value)}${'☆'.repeat(5 - value)}</option>`
+    )).join('');
+
+    return `
+      <article class="moderation-entry content-card" data-id="${id}" data-status="${escape(entry.status)}">
+        <p class="moderation-meta">${escape(Utils.formatMessage(messages.received, { date: received }))}</p>
+        <div class="form-group">
+          <label for="name-${id}">${escape(labels.name)}</label>
+          <input id="name-${id}" name="name" type="text" class="form-input" maxlength="100" required value="${escape(entry.name)}">
+        </div>
+        <div class="form-group">
+          <label for="role-${id}">${escape(labels.role)}</label>
+          <input id="role-${id}" name="role" type="text" class="form-input" maxlength="150" value="${escape(entry.role || '')}">
+        </div>
+        <div class="form-group">
+          <label for="rating-${id}">${escape(labels.rating)}</label>
+          <select id="rating-${id}" name="rating" class="form-input">${ratings}</select>
+        </div>
+        <div class="form-group">
+          <label for="message-${id}">${escape(labels.message)}</label>
+          <textarea id="message-${id}" name="message" class="form-textarea" maxlength="1500" required>${escape(entry.message)}</textarea>
+        </div>
+        <div class="form-buttons">
+          <button type="button" class="btn primary" data-action="approve"${entry.status === 'approved' ? ' hidden' : ''}>
+            <i class="fas fa-check" aria-hidden="true"></i> ${escape(labels.approve)}
+          </button>
+          <button type="button" class="btn secondary" data-action="save">
+            <i class="fas fa-save" aria-hidden="true"></i> ${escape(labels.save)}
+          </button>
+          <button type="button" class="btn secondary" data-action="reject"${entry.status === 'rejected' ? ' hidden' : ''}>
+            <i class="fas fa-times" aria-hidden="true"></i> ${escape(labels.reject)}
+          </button>
+        </div>
+      </article>
+    `;
+  }
+
+  async act(entry, action) {
+    const status = { approve: 'approved', reject: 'rejected' }[action];
+    const field = name => entry.querySelector(`[name="${name}"]`).value.trim();
+    const buttons = entry.querySelectorAll('button[data-action]');
+
+    buttons.forEach(button => { button.disabled = true; });
+
+    try {
+      await this.request({ id: entry.dataset.id }, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          name: field('name'),
+          role: field('role'),
+          rating: Number(field('rating')),
+          message: field('message'),
+          ...(status ? { status } : {})
+        })
+      });
+
+      toast.show(this.options.messages[{ approve: 'approved', save: 'saved', reject: 'rejected' }[action]]);
+
+      // Gone from this list once it no longer matches the filter
+      if (status && this.statusSelect.value !== 'all' && status !== this.statusSelect.value) {
+        entry.remove();
+        if (!this.list.querySelector('.moderation-entry')) this.render([]);
+      }
+    } catch (error) {
+      this.handleError(error);
+    } finally {
+      buttons.forEach(button => { button.disabled = false; });
+    }
+  }
+}
+
+/**
+ * Microdata reader
+ * Turns itemscope/itemprop markup into { type, properties, element } items,
+ * following the HTML spec: every property is a list, nested itemscopes are
+ * items of their own, and URL properties are made absolute.
+ */
+const Microdata = {
+  items(root, type) {
+    return Array.from(root.querySelectorAll(`[itemscope][itemtype~="${type}"]`))
+      .map(element => this.read(element));
+  },
+
+  read(element) {
+    const properties = {};
+    this.collect(element, properties);
+    return { type: element.getAttribute('itemtype'), properties, element };
+  },
+
+  collect(parent, properties) {
+    Array.from(parent.children).forEach(child => {
+      const names = (child.getAttribute('itemprop') || '').split(/\s+/).filter(Boolean);
+
+      if (names.length) {
+        const value = this.value(child);
+        names.forEach(name => (properties[name] ||= []).push(value));
+      }
+
+      // A nested item's properties belong to it, not to us
+      if (!child.hasAttribute('itemscope')) this.collect(child, properties);
+    });
+  },
+
+  value(element) {
+    if (element.hasAttribute('itemscope')) return this.read(element);
+
+    const tag = element.tagName.toLowerCase();
+
+    if (tag === 'meta') return element.getAttribute('content') || '';
+    if (tag === 'time') return element.getAttribute('datetime') || element.textContent.trim();
+    if (tag === 'data' || tag === 'meter') return element.getAttribute('value') || '';
+
+    const urlAttribute = { a: 'href', area: 'href', link: 'href', img: 'src', audio: 'src', video: 'src', source: 'src', iframe: 'src' }[tag];
+    if (urlAttribute) return this.absolute(element.getAttribute(urlAttribute));
+
+    return element.textContent.replace(/\s+/g, ' ').trim();
+  },
+
+  absolute(url) {
+    try {
+      return url ? new URL(url, document.baseURI).href : '';
+    } catch (error) {
+      return url;
+    }
+  },
+
+  // First value of a property, or null; safe to chain through missing items
+  first(item, name) {
+    return item?.properties?.[name]?.[0] ?? null;
+  },
+
+  // The same item as schema.org JSON-LD
+  toJsonLd(item, { context = true } = {}) {
+    const json = context ? { '@context': 'https://schema.org' } : {};
+    json['@type'] = (item.type || '').split(/\s+/)[0].replace(/^https?:\/\/schema\.org\//, '');
+
+    Object.entries(item.properties).forEach(([name, values]) => {
+      const converted = values.map(value => (typeof value === 'object' ? this.toJsonLd(value, { context: false }) : value));
+      json[name] = converted.length === 1 ? converted[0] : converted;
+    });
+
+    return json;
+  }
+};
+
+/**
+ * Résumé exporter
+ * Reads the schema.org microdata on config.resume.pages into one JSON Resume
+ * document (jsonresume.org), which is both downloaded as resume.json and
+ * rendered into the print layout, so neither can drift from the site.
+ * Buttons opt in with data-resume-export="print" or "json".
+ */
+class ResumeExporter {
+  constructor(options = config.resume) {
+    this.options = options;
+    this.request = null;
+    this.sheet = null;
+    this.title = null;
+
+    if (document.querySelector('[data-resume-export]')) {
+      this.bindEvents();
+    }
+  }
+
+  bindEvents() {
+    document.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-resume-export]');
+      if (!button) return;
+
+      e.preventDefault();
+      this.export(button.dataset.resumeExport, button);
+    });
+
+    window.addEventListener('afterprint', () => this.cleanup());
+  }
+
+  async export(format, button = null) {
+    if (button) button.disabled = true;
+
+    try {
+      const resume = await this.build();
+
+      if (format === 'json') {
+        this.download(resume);
+      } else {
+        this.print(resume);
+      }
+
+      analytics.track('resume_export', { format });
+    } catch (error) {
+      console.error('Résumé export failed:', error);
+      errorReporter.capture(error, { category: 'caught', component: 'ResumeExporter' });
+      toast.show(this.options.messages.failed, 'error');
+    } finally {
+      if (button) button.disabled = false;
+    }
+  }
+
+  // One extraction per page view, shared by both formats
+  build() {
+    if (!this.request) {
+      this.request = Promise.all(this.options.pages.map(page => this.loadPage(page)))
+        .then(documents => ResumeExporter.toJsonResume(documents));
+
+      // Do not cache failures
+      this.request.catch(() => { this.request = null; });
+    }
+
+    return this.request;
+  }
+
+  // Fetched rather than read from the live page, which i18n may have translated
+  async loadPage(page) {
+    const response = await Utils.fetchWithTimeout(page, { headers: { Accept: 'text/html' } }, this.options.timeout);
+
+    if (!response.ok) {
+      throw new Error(`Failed to load ${page}: ${response.status}`);
+    }
+
+    return new DOMParser().parseFromString(await response.text(), 'text/html');
+  }
+
+  static toJsonResume(documents, options = config.resume) {
+    const items = type => documents.flatMap(doc => Microdata.items(doc, `https://schema.org/${type}`));
+    const { first } = Microdata;
+    const all = (item, name) => (item?.properties?.[name] || []).filter(value => typeof value === 'string' && value);
+
+    // Every page's <body> is a Person; most of them are empty
+    const person = items('Person').find(item => first(item, 'name'));
+    const contact = first(person, 'contactPoint');
+    const address = first(contact, 'address') || first(person, 'address');
+    const city = first(address, 'addressLocality');
+    const country = first(address, 'addressCountry');
+
+    const basics = ResumeExporter.compact({
+      name: first(person, 'name'),
+      label: first(person, 'jobTitle'),
+      image: first(person, 'image'),
+      email: first(contact, 'email') || first(person, 'email'),
+      phone: first(contact, 'telephone') || first(person, 'telephone'),
+      url: new URL('./', document.baseURI).href,
+      summary: first(person, 'description'),
+      location: ResumeExporter.compact({
+        address: [city, country].filter(Boolean).join(', '),
+        city,
+        countryCode: /^[A-Z]{2}$/.test(country) ? country : null
+      }),
+      profiles: [...all(contact, 'sameAs'), ...all(person, 'sameAs')].map(url => ResumeExporter.profile(url, options))
+    });
+
+    const work = items('OrganizationRole').map(role => {
+      const organization = first(role, 'worksFor');
+
+      return ResumeExporter.compact({
+        name: first(organization, 'name'),
+        position: first(role, 'roleName'),
+        location: first(organization, 'location'),
+        startDate: first(role, 'startDate'),
+        endDate: first(role, 'endDate'),
+        // The bullet points under each role have no schema.org equivalent
+        highlights: Array.from(role.element.querySelectorAll('li'), li => li.textContent.replace(/\s+/g, ' ').trim())
+      });
+    });
+
+    const education = items('EducationalOccupationalCredential').map(credential => {
+      // "MBA – Marketing" is a degree and its subject
+      const [studyType, area] = (first(credential, 'credentialCategory') || '').split(/\s+[–-]\s+/);
+      const year = first(credential, 'educationalLevel');
+
+      return ResumeExporter.compact({
+        institution: first(credential, 'educationalProgramName'),
+        studyType,
+        area,
+        endDate: /^\d{4}(-\d{2})?$/.test(year) ? year : null,
+        summary: first(credential, 'description')
+      });
+    });
+
+    const certificates = items('Certification').map(certification => ResumeExporter.compact({
+      name: first(certification, 'name'),
+      issuer: first(certification, 'educationalOrganization')
+    }));
+
+    const skills = items('Competence').map(competence => ResumeExporter.compact({
+      name: first(competence, 'competencyCategory'),
+      keywords: all(competence, 'competencyRequired')
+    }));
+
+    return ResumeExporter.compact({
+      $schema: 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json',
+      basics,
+      work,
+      education,
+      certificates,
+      skills
+    });
+  }
+
+  static profile(url, options = config.resume) {
+    const { hostname, pathname } = new URL(url);
+    const host = hostname.replace(/^www\./, '');
+
+    return {
+      network: options.networks[host] || host,
+      username: pathname.split('/').filter(Boolean).pop() || '',
+      url
+    };
+  }
+
+  // Drop empty values so resume.json only has what the site actually says
+  static compact(object) {
+    return Object.fromEntries(Object.entries(object).filter(([, value]) => (
+      value !== null && value !== undefined && value !== '' &&
+      !(Array.isArray(value) && !value.length) &&
+      !(typeof value === 'object' && !Array.isArray(value) && !Object.keys(value).length)
+    )));
+  }
+
+  download(resume) {
+    Utils.downloadFile(`${JSON.stringify(resume, null, 2)}\n`, this.options.filename, 'application/json');
+  }
+
+  print(resume) {
+    this.cleanup();
+
+    this.sheet = document.createElement('article');
+    this.sheet.className = 'resume-print';
+    this.sheet.lang = this.options.locale;
+    this.sheet.dir = 'ltr';
+    this.sheet.innerHTML = this.render(resume);
+    document.body.appendChild(this.sheet);
+
+    // Browsers suggest the title as the PDF's file name
+    this.title = document.title;
+    document.title = resume.basics?.name ? `${resume.basics.name} – CV` : this.title;
+
+    // style.css hides everything but the sheet while this is set
+    document.documentElement.classList.add('resume-printing');
+    window.print();
+  }
+
+  cleanup() {
+    if (!this.sheet) return;
+
+    document.documentElement.classList.remove('resume-printing');
+    document.title = this.title;
+    this.sheet.remove();
+    this.sheet = null;
+  }
+
+  render({ basics = {}, work = [], education = [], certificates = [], skills = [] }) {
+    const escape = Utils.escapeHtml;
+    const { labels } = this.options;
+    const section = (key, body) => `
+      <section class="resume-section">
+        <h2>${escape(labels[key])}</h2>
+        ${body}
+      </section>`;
+    const entry = ({ title, dates, meta, body = '' }) => `
+      <div class="resume-entry">
+        <div class="resume-entry-head">
+          <h3>${escape(title)}</h3>
+          ${dates ? `<span class="resume-dates">${escape(dates)}</span>` : ''}
+        </div>
+        ${meta ? `<p class="resume-meta">${escape(meta)}</p>` : ''}
+        ${body}
+      </div>`;
+
+    const contact = [
+      basics.email,
+      basics.phone,
+      basics.location?.address,
+      ...(basics.profiles || []).map(profile => profile.url.replace(/^https?:\/\/(www\.)?/, ''))
+    ].filter(Boolean);
+
+    return `
+      <header class="resume-header">
+        <h1>${escape(basics.name)}</h1>
+        ${basics.label ? `<p class="resume-label">${escape(basics.label)}</p>` : ''}
+        <p class="resume-contact">${contact.map(value => `<span>${escape(value)}</span>`).join('')}</p>
+      </header>
+      ${basics.summary ? section('summary', `<p>${escape(basics.summary)}</p>`) : ''}
+      ${work.length ? section('work', work.map(job => entry({
+        title: job.position,
+        dates: `${this.formatDate(job.startDate)} – ${job.endDate ? this.formatDate(job.endDate) : labels.present}`,
+        meta: [job.name, job.location].filter(Boolean).join(', '),
+        body: job.highlights ? `<ul>${job.highlights.map(item => `<li>${escape(item)}</li>`).join('')}</ul>` : ''
+      })).join('')) : ''}
+      ${education.length ? section('education', education.map(item => entry({
+        title: [item.studyType, item.area].filter(Boolean).join(' – '),
+        dates: this.formatDate(item.endDate),
+        meta: item.institution,
+        body: item.summary ? `<p>${escape(item.summary)}</p>` : ''
+      })).join('')) : ''}
+      ${certificates.length ? section('certificates', `<ul class="resume-list">${certificates.map(item => `
+        <li><strong>${escape(item.name)}</strong>${item.issuer ? ` – ${escape(item.issuer)}` : ''}</li>`).join('')}
+      </ul>`) : ''}
+      ${skills.length ? section('skills', `<dl class="resume-skills">${skills.map(skill => `
+        <dt>${escape(skill.name)}</dt>
+        <dd>${escape((skill.keywords || []).join(', '))}</dd>`).join('')}
+      </dl>`) : ''}`;
+  }
+
+  // JSON Resume dates are YYYY, YYYY-MM or YYYY-MM-DD
+  formatDate(value) {
+    if (!value) return '';
+
+    const [year, month = 0, day = 1] = value.split('-').map(Number);
+    if (!month) return String(year);
+
+    return new Intl.DateTimeFormat(this.options.locale, this.options.dateFormat).format(new Date(year, month - 1, day));
+  }
+}
+
+/**
+ * QR code tables from ISO/IEC 18004, indexed by version (index 0 unused)
+ */
+const QrSpec = {
+  // Error correction level as stored in the format information
+  formatBits: { L: 1, M: 0, Q: 3, H: 2 },
+  eccCodewordsPerBlock: {
+    L: [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    M: [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+    Q: [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+    H: [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+  },
+  errorCorrectionBlocks: {
+    L: [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+    M: [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+    Q: [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+    H: [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+  }
+};
+
+/**
+ * QR code encoder
+ * Byte mode only, versions 1-40, smallest version that fits. Local so the
+ * contact page's code still renders offline; toSvg() draws it.
+ */
+class QrCode {
+  constructor(version, level, dataCodewords) {
+    this.version = version;
+    this.level = level;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    // Finder, timing, alignment, format and version modules are never masked
+    this.reserved = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+
+    this.drawFunctionPatterns();
+    this.drawCodewords(this.addErrorCorrection(dataCodewords));
+    this.applyBestMask();
+  }
+
+  static encode(text, level = 'M') {
+    const bytes = Array.from(new TextEncoder().encode(text));
+
+    for (let version = 1; version <= 40; version++) {
+      const capacity = QrCode.dataCodewords(version, level) * 8;
+      const countBits = version < 10 ? 8 : 16;
+
+      if (4 + countBits + bytes.length * 8 > capacity) continue;
+
+      const bits = [];
+      const push = (value, length) => {
+        for (let i = length - 1; i >= 0; i--) bits.push((value >>> i) & 1);
+      };
+
+      push(0b0100, 4);
+      push(bytes.length, countBits);
+      bytes.forEach(byte => push(byte, 8));
+
+      // Terminator, then zeros up to a byte boundary
+      push(0, Math.min(4, capacity - bits.length));
+      push(0, (8 - bits.length % 8) % 8);
+
+      const codewords = [];
+      for (let i = 0; i < bits.length; i += 8) {
+        codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+      }
+
+      // Alternating pad bytes fill the remaining capacity
+      for (let pad = 0xEC; codewords.length < capacity / 8; pad ^= 0xEC ^ 0x11) {
+        codewords.push(pad);
+      }
+
+      return new QrCode(version, level, codewords);
+    }
+
+    throw new RangeError(`${bytes.length} bytes is too much for a QR code`);
+  }
+
+  // Modules left for data and error correction once function patterns are drawn
+  static rawDataModules(version) {
+    let result = (16 * version + 128) * version + 64;
+
+    if (version >= 2) {
+      const alignments = Math.floor(version / 7) + 2;
+      result -= (25 * alignments - 10) * alignments - 55;
+      if (version >= 7) result -= 36;
+    }
+
+    return result;
+  }
+
+  static dataCodewords(version, level) {
+    return Math.floor(QrCode.rawDataModules(version) / 8) -
+      QrSpec.eccCodewordsPerBlock[level][version] * QrSpec.errorCorrectionBlocks[level][version];
+  }
+
+  static alignmentPositions(version) {
+    if (version === 1) return [];
+
+    const count = Math.floor(version / 7) + 2;
+    const step = Math.floor((version * 8 + count * 3 + 5) / (count * 4 - 4)) * 2;
+    const positions = [6];
+
+    for (let position = version * 4 + 10; positions.length < count; position -= step) {
+      positions.splice(1, 0, position);
+    }
+
+    return positions;
+  }
+
+  // Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+  static multiply(x, y) {
+    let z = 0;
+
+    for (let i = 7; i >= 0; i--) {
+      z = (z << 1) ^ ((z >>> 7) * 0x11D);
+      z ^= ((y >>> i) & 1) * x;
+    }
+
+    return z;
+  }
+
+  static reedSolomonDivisor(degree) {
+    const result = new Array(degree).fill(0);
+    result[degree - 1] = 1;
+    let root = 1;
+
+    for (let i = 0; i < degree; i++) {
+      for (let j = 0; j < degree; j++) {
+        result[j] = QrCode.multiply(result[j], root);
+        if (j + 1 < degree) result[j] ^= result[j + 1];
+      }
+      root = QrCode.multiply(root, 0x02);
+    }
+
+    return result;
+  }
+
+  static reedSolomonRemainder(data, divisor) {
+    const result = new Array(divisor.length).fill(0);
+
+    data.forEach(byte => {
+      const factor = byte ^ result.shift();
+      result.push(0);
+      divisor.forEach((coefficient, i) => {
+        result[i] ^= QrCode.multiply(coefficient, factor);
+      });
+    });
+
+    return result;
+  }
+
+  // Split into blocks, append each block's error correction, then interleave
+  addErrorCorrection(data) {
+    const blockCount = QrSpec.errorCorrectionBlocks[this.level][this.version];
+    const eccLength = QrSpec.eccCodewordsPerBlock[this.level][this.version];
+    const rawCodewords = Math.floor(QrCode.rawDataModules(this.version) / 8);
+    const shortBlocks = blockCount - rawCodewords % blockCount;
+    const shortLength = Math.floor(rawCodewords / blockCount);
+    const divisor = QrCode.reedSolomonDivisor(eccLength);
+
+    const blocks = [];
+    for (let i = 0, offset = 0; i < blockCount; i++) {
+      const block = data.slice(offset, offset + shortLength - eccLength + (i < shortBlocks ? 0 : 1));
+      offset += block.length;
+
+      const ecc = QrCode.reedSolomonRemainder(block, divisor);
+      // Placeholder so short and long blocks line up; skipped below
+      if (i < shortBlocks) block.push(0);
+      blocks.push(block.concat(ecc));
+    }
+
+    const result = [];
+    for (let i = 0; i < blocks[0].length; i++) {
+      blocks.forEach((block, j) => {
+        if (i !== shortLength - eccLength || j >= shortBlocks) result.push(block[i]);
+      });
+    }
+
+    return result;
+  }
+
+  setFunctionModule(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.reserved[y][x] = true;
+  }
+
+  drawFunctionPatterns() {
+    const { size } = this;
+
+    for (let i = 0; i < size; i++) {
+      this.setFunctionModule(6, i, i % 2 === 0);
+      this.setFunctionModule(i, 6, i % 2 === 0);
+    }
+
+    // Finder patterns and their separators
+    [[3, 3], [size - 4, 3], [3, size - 4]].forEach(([x, y]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x + dx >= 0 && x + dx < size && y + dy >= 0 && y + dy < size) {
+            this.setFunctionModule(x + dx, y + dy, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = QrCode.alignmentPositions(this.version);
+    const last = positions.length - 1;
+
+    positions.forEach((x, i) => positions.forEach((y, j) => {
+      // Where the finder patterns already are
+      if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) return;
+
+      for (let dy = -2; dy <= 2; dy++) {
+        for (let dx = -2; dx <= 2; dx++) {
+          this.setFunctionModule(x + dx, y + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+        }
+      }
+    }));
+
+    // Reserve the format areas; the real bits depend on the mask
+    this.drawFormatBits(0);
+    this.drawVersionBits();
+  }
+
+  drawFormatBits(mask) {
+    const { size } = this;
+    const data = (QrSpec.formatBits[this.level] << 3) | mask;
+    let remainder = data;
+
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+    const bit = i => ((bits >>> i) & 1) === 1;
+
+    // Around the top-left finder
+    for (let i = 0; i <= 5; i++) this.setFunctionModule(8, i, bit(i));
+    this.setFunctionModule(8, 7, bit(6));
+    this.setFunctionModule(8, 8, bit(7));
+    this.setFunctionModule(7, 8, bit(8));
+    for (let i = 9; i < 15; i++) this.setFunctionModule(14 - i, 8, bit(i));
+
+    // Split between the other two finders
+    for (let i = 0; i < 8; i++) this.setFunctionModule(size - 1 - i, 8, bit(i));
+    for (let i = 8; i < 15; i++) this.setFunctionModule(8, size - 15 + i, bit(i));
+    this.setFunctionModule(8, size - 8, true);
+  }
+
+  drawVersionBits() {
+    if (this.version < 7) return;
+
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1F25);
+    }
+
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = ((bits >>> i) & 1) === 1;
+      const a = this.size - 11 + i % 3;
+      const b = Math.floor(i / 3);
+      this.setFunctionModule(a, b, dark);
+      this.setFunctionModule(b, a, dark);
+    }
+  }
+
+  // Zigzag up and down two-module columns from the bottom-right corner
+  drawCodewords(codewords) {
+    const { size } = this;
+    let i = 0;
+
+    for (let right = size - 1; right >= 1; right -= 2) {
+      // Skip the vertical timing pattern
+      if (right === 6) right = 5;
+
+      for (let vertical = 0; vertical < size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? size - 1 - vertical : vertical;
+
+          if (!this.reserved[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = ((codewords[i >>> 3] >>> (7 - (i & 7))) & 1) === 1;
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  // XOR is its own inverse, so applying a mask twice removes it
+  applyMask(mask) {
+    const patterns = [
+      (x, y) => (x + y) % 2 === 0,
+      (x, y) => y % 2 === 0,
+      (x) => x % 3 === 0,
+      (x, y) => (x + y) % 3 === 0,
+      (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+      (x, y) => (x * y) % 2 + (x * y) % 3 === 0,
+      (x, y) => ((x * y) % 2 + (x * y) % 3) % 2 === 0,
+      (x, y) => ((x + y) % 2 + (x * y) % 3) % 2 === 0
+    ];
+
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.reserved[y][x] && patterns[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  applyBestMask() {
+    let best = 0;
+    let bestScore = Infinity;
+
+    for (let mask = 0; mask < 8; mask++) {
+      this.applyMask(mask);
+      this.drawFormatBits(mask);
+
+      const score = this.penalty();
+      if (score < bestScore) {
+        best = mask;
+        bestScore = score;
+      }
+
+      this.applyMask(mask);
+    }
+
+    this.mask = best;
+    this.applyMask(best);
+    this.drawFormatBits(best);
+  }
+
+  // Lower is easier to scan: long runs, 2x2 blocks, finder look-alikes and imbalance all cost
+  penalty() {
+    const { size, modules } = this;
+    const lines = [...modules, ...modules.map((row, x) => modules.map(line => line[x]))];
+    let score = 0;
+
+    lines.forEach(line => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+        } else {
+          if (run >= 5) score += run - 2;
+          run = 1;
+        }
+      }
+
+      // Outside the symbol counts as light
+      const text = `0000${line.map(Number).join('')}0000`;
+      ['10111010000', '00001011101'].forEach(pattern => {
+        for (let index = text.indexOf(pattern); index !== -1; index = text.indexOf(pattern, index + 1)) {
+          score += 40;
+        }
+      });
+    });
+
+    let dark = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (modules[y][x]) dark++;
+
+        if (x < size - 1 && y < size - 1) {
+          const color = modules[y][x];
+          if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+            score += 3;
+          }
+        }
+      }
+    }
+
+    const total = size * size;
+    score += (Math.ceil(Math.abs(dark * 20 - total * 10) / total) - 1) * 10;
+
+    return score;
+  }
+
+  toSvg({ margin = 4, label = '' } = {}) {
+    const extent = this.size + margin * 2;
+    let path = '';
+
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (this.modules[y][x]) path += `M${x + margin} ${y + margin}h1v1h-1z`;
+      }
+    }
+
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${extent} ${extent}" role="img" aria-label="${Utils.escapeHtml(label)}" shape-rendering="crispEdges">
+      <rect width="100%" height="100%" fill="#fff"/>
+      <path d="${path}" fill="#000"/>
+    </svg>`;
+  }
+}
+
+/**
+ * Contact card
+ * Makes the details on contactme.html actionable: mailto:/tel: links, copy
+ * buttons, a vCard download and a QR code of that vCard, plus the page's
+ * JSON-LD. All of it is read from the Person microdata, so what gets saved,
+ * scanned or indexed is what the page shows.
+ */
+class ContactCard {
+  constructor(options = config.contactCard) {
+    this.root = document.getElementById('contact-card');
+    this.options = options;
+
+    if (this.root) {
+      this.init();
+    }
+  }
+
+  init() {
+    this.person = Microdata.items(document, 'https://schema.org/Person').find(item => Microdata.first(item, 'name'));
+    if (!this.person) return;
+
+    this.name = Microdata.first(this.person, 'name');
+    this.vCard = ContactCard.toVCard(this.person);
+    this.qr = this.root.querySelector('.contact-qr');
+
+    this.addJsonLd();
+    this.enhanceDetails();
+    this.bindEvents();
+
+    const actions = this.root.querySelector('.contact-card-actions');
+    if (actions) actions.hidden = false;
+  }
+
+  bindEvents() {
+    this.root.addEventListener('click', (e) => {
+      const button = e.target.closest('button[data-contact-card]');
+      if (!button) return;
+
+      const action = button.dataset.contactCard;
+
+      if (action === 'copy') {
+        this.copy(button.dataset.value);
+      } else if (action === 'vcard') {
+        Utils.downloadFile(this.vCard, `${this.name.replace(/\s+/g, '-')}.vcf`, 'text/vcard');
+      } else if (action === 'qr') {
+        this.toggleQr(button);
+      }
+
+      analytics.track('contact_card', { action });
+    });
+  }
+
+  addJsonLd() {
+    const script = document.createElement('script');
+    script.type = 'application/ld+json';
+    script.textContent = JSON.stringify(Microdata.toJsonLd(this.person), null, 2);
+    document.head.appendChild(script);
+  }
+
+  // Link and add a copy button to each email address and phone number
+  enhanceDetails() {
+    this.root.querySelectorAll('[itemprop~="email"], [itemprop~="telephone"]').forEach(element => {
+      const type = element.matches('[itemprop~="email"]') ? 'email' : 'telephone';
+      const value = element.textContent.trim();
+
+      if (!element.querySelector('a')) {
+        const link = document.createElement('a');
+        link.href = type === 'email' ? `mailto:${value}` : `tel:${ContactCard.dialable(value)}`;
+        link.textContent = value;
+        element.replaceChildren(link);
+      }
+
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.className = 'contact-copy';
+      button.dataset.contactCard = 'copy';
+      button.dataset.value = value;
+      button.title = this.options.labels[type];
+      button.setAttribute('aria-label', this.options.labels[type]);
+      button.innerHTML = '<i class="fas fa-copy" aria-hidden="true"></i>';
+      element.after(button);
+    });
+  }
+
+  async copy(value) {
+    const { messages } = this.options;
+
+    try {
+      await ContactCard.writeClipboard(value);
+      toast.show(Utils.formatMessage(messages.copied, { value }));
+    } catch (error) {
+      console.warn('Copy failed:', error);
+      toast.show(messages.copyFailed, 'error');
+    }
+  }
+
+  toggleQr(button) {
+    if (!this.qr) return;
+
+    const show = this.qr.hidden;
+
+    if (show && !this.qr.querySelector('svg')) {
+      try {
+        this.qr.querySelector('.contact-qr-code').innerHTML = QrCode.encode(this.vCard, this.options.qrErrorCorrection)
+          .toSvg({ label: Utils.formatMessage(this.options.labels.qr, { name: this.name }) });
+      } catch (error) {
+        console.error('QR code error:', error);
+        errorReporter.capture(error, { category: 'caught', component: 'ContactCard' });
+        return;
+      }
+    }
+
+    this.qr.hidden = !show;
+    button.setAttribute('aria-expanded', String(show));
+  }
+
+  // navigator.clipboard needs a secure context; execCommand still works on plain http
+  static async writeClipboard(text) {
+    if (window.isSecureContext && navigator.clipboard?.writeText) {
+      return navigator.clipboard.writeText(text);
+    }
+
+    const active = document.activeElement;
+    const textarea = document.createElement('textarea');
+    textarea.value = text;
+    textarea.readOnly = true;
+    textarea.style.position = 'fixed';
+    textarea.style.opacity = '0';
+    document.body.appendChild(textarea);
+    textarea.select();
+
+    try {
+      if (!document.execCommand('copy')) throw new Error('Copy command was refused');
+    } finally {
+      textarea.remove();
+      active?.focus();
+    }
+  }
+
+  // "+92 332 3450433" -> "+923323450433"
+  static dialable(telephone) {
+    return telephone.replace(/[^\d+]/g, '');
+  }
+
+  // vCard 3.0, which phones import more reliably than 4.0
+  static toVCard(person) {
+    const { first } = Microdata;
+    const contact = first(person, 'contactPoint');
+    const address = first(person, 'address') || first(contact, 'address');
+    const name = first(person, 'name');
+    const title = first(person, 'jobTitle');
+    const email = first(contact, 'email') || first(person, 'email');
+    const telephone = first(contact, 'telephone') || first(person, 'telephone');
+    const urls = [first(person, 'url'), ...(person.properties.sameAs || [])].filter(Boolean);
+
+    const escape = value => String(value ?? '').replace(/[\\;,]/g, '\\$&').replace(/\r?\n/g, '\\n');
+
+    // "Muhammad Asif Iqbal": family name Iqbal, given names Muhammad Asif
+    const names = name.split(/\s+/);
+    const family = names.length > 1 ? names.pop() : '';
+
+    const lines = [
+      'BEGIN:VCARD',
+      'VERSION:3.0',
+      `N:${escape(family)};${escape(names.join(' '))};;;`,
+      `FN:${escape(name)}`,
+      title && `TITLE:${escape(title)}`,
+      email && `EMAIL;TYPE=INTERNET:${escape(email)}`,
+      telephone && `TEL;TYPE=CELL,VOICE:${escape(telephone)}`,
+      address && `ADR;TYPE=WORK:;;${['streetAddress', 'addressLocality', 'addressRegion', 'postalCode', 'addressCountry']
+        .map(property => escape(first(address, property))).join(';')}`,
+      // URIs are not text values, so commas and semicolons stay as they are
+      ...urls.map(url => `URL:${url}`),
+      'END:VCARD'
+    ];
+
+    return `${lines.filter(Boolean).map(ContactCard.fold).join('\r\n')}\r\n`;
+  }
+
+  // Lines over 75 octets of UTF-8 continue on the next, indented by a space;
+  // breaks fall between code points, so no character is split
+  static fold(line) {
+    const encoder = new TextEncoder();
+    const parts = [''];
+    let size = 0;
+
+    for (const char of line) {
+      const bytes = encoder.encode(char).length;
+      // The leading space counts towards a continuation line's 75
+      if (size + bytes > (parts.length > 1 ? 74 : 75)) {
+        parts.push('');
+        size = 0;
+      }
+      parts[parts.length - 1] += char;
+      size += bytes;
+    }
+
+    return parts.join('\r\n ');
+  }
+}
+
+/**
+ * Animation controllers
+ */
+class AnimationManager {
+  constructor() {
+    this.observers = new Map();
+    this.init();
+  }
+
+  init() {
+    this.setupSkillAnimations();
+    this.setupScrollAnimations();
+  }
+
+  setupSkillAnimations() {
+    const skillLevels = document.querySelectorAll('.skill-level');
+    if (!skillLevels.length) return;
+
+    const skillObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          const targetWidth = entry.target.getAttribute('data-target') || '90%';
+          entry.target.style.width = targetWidth;
+          skillObserver.unobserve(entry.target);
+        }
+      });
+    }, { 
+      threshold: config.skillAnimationThreshold,
+      rootMargin: '0px 0px -50px 0px'
+    });
+
+    skillLevels.forEach(skill => {
+      skill.style.width = '0%';
+      skillObserver.observe(skill);
+    });
+  }
+
+  setupScrollAnimations() {
+    const animatedElements = document.querySelectorAll(
+      '.content-card, .portfolio-item, .skills-box, .education-entry, .testimonial-content, .competency-card, .experience-entry'
+    );
+
+    if (!animatedElements.length) return;
+
+    const animationObserver = new IntersectionObserver((entries) => {
+      entries.forEach(entry => {
+        if (entry.isIntersecting) {
+          entry.target.style.opacity = '1';
+          entry.target.style.transform = 'translateY(0)';
+          animationObserver.unobserve(entry.target);
+        }
+      });
+    }, { 
+      threshold: config.animationThreshold,
+      rootMargin: '0px 0px -100px 0px'
+    });
+
+    animatedElements.forEach(element => {
+      element.style.opacity = '0';
+      element.style.transform = 'translateY(20px)';
+      element.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
+      animationObserver.observe(element);
+    });
+  }
+}
+
+/**
+ * Responsive images
+ * Looks up the WebP/JPEG variants and blur placeholder that
+ * tools/build-images.js generated for an image, by its original path.
+ */
+class ResponsiveImages {
+  // Never rejects: a missing manifest just means no variants
+  static load(url = config.images.manifestUrl) {
+    if (!this.request) {
+      this.request = Utils.loadJson(url)
+        .then(manifest => {
+          this.entries = manifest.images || {};
+          return this.entries;
+        })
+        .catch(() => {
+          this.entries = {};
+          return this.entries;
+        });
+    }
+
+    return this.request;
+  }
+
+  static get(src) {
+    if (!src || !this.entries) return null;
+
+    try {
+      return this.entries[decodeURI(src)] || null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  static supportsWebp() {
+    if (this.webp === undefined) {
+      try {
+        this.webp = String(document.createElement('canvas').toDataURL('image/webp')).startsWith('data:image/webp');
+      } catch (error) {
+        this.webp = false;
+      }
+    }
+    return this.webp;
+  }
 
-    // Overlay
-    if (this.overlay) {
-      this.overlay.addEventListener('click', () => this.close());
+  // Spaces in file names would split a srcset candidate, so encode the URLs
+  static srcset(entry, format) {
+    return entry.variants.map(variant => `${encodeURI(variant[format])} ${variant.width}w`).join(', ');
+  }
+
+  // Smallest variant at least `width` pixels wide, or the largest there is
+  static pick(src, width) {
+    const entry = this.get(src);
+    if (!entry) return src;
+
+    const format = this.supportsWebp() ? 'webp' : 'jpeg';
+    const variant = entry.variants.find(candidate => candidate.width >= width) || entry.variants[entry.variants.length - 1];
+
+    // The largest variant is capped; past it the original is sharper
+    if (variant.width < width && entry.width > variant.width) return src;
+    return encodeURI(variant[format]);
+  }
+
+  // <picture> markup for an innerHTML template; `attributes` is pre-escaped
+  static markup(src, { alt = '', sizes = '100vw', attributes = '' } = {}) {
+    const escape = Utils.escapeHtml;
+    const entry = this.get(src);
+
+    if (!entry) {
+      return `<img src="${escape(src)}" alt="${escape(alt)}" ${attributes}>`;
     }
 
-    // Navigation links
-    document.querySelectorAll('.nav-link').forEach(link => {
-      link.addEventListener('click', () => {
-        if (state.isMobile) this.close();
-      });
-    });
+    return `
+      <picture>
+        <source type="image/webp" srcset="${escape(this.srcset(entry, 'webp'))}" sizes="${escape(sizes)}">
+        <img src="${escape(src)}" srcset="${escape(this.srcset(entry, 'jpeg'))}" sizes="${escape(sizes)}" alt="${escape(alt)}" class="blur-up" ${attributes}>
+      </picture>
+    `;
+  }
+}
 
-    // Escape key
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.isOpen && state.isMobile) {
-        this.close();
-      }
-    });
+/**
+ * Portfolio renderer
+ * Builds the category tabs, branding subcategories and cards on
+ * portfolio.html from the manifest in data/portfolio.json.
+ */
+class PortfolioRenderer {
+  constructor(options = config.portfolio) {
+    this.options = options;
+    this.container = document.querySelector('.portfolio-content[data-manifest]');
+    this.nav = document.querySelector('.portfolio-nav .nav-container');
 
-    // Resize handling
-    window.addEventListener('resize', this.handleResize.bind(this));
+    // Resolves once the cards are in the DOM (or rendering failed)
+    this.ready = this.container ? this.init() : Promise.resolve();
   }
 
-  toggle() {
-    if (state.isMobile) {
-      this.isOpen ? this.close() : this.open();
-    } else {
-      this.toggleDesktop();
+  async init() {
+    const url = this.container.dataset.manifest || this.options.manifestUrl;
+    this.container.setAttribute('aria-busy', 'true');
+
+    try {
+      const [manifest] = await Promise.all([Utils.loadJson(url), ResponsiveImages.load()]);
+      this.render(manifest);
+      Utils.optimizeImages(this.container);
+    } catch (error) {
+      console.error('Failed to load portfolio:', error);
+      this.renderError();
+    } finally {
+      this.container.removeAttribute('aria-busy');
     }
   }
 
-  open() {
-    if (!this.sidebar || !this.overlay) return;
-    
-    this.sidebar.classList.add('sidebar-expanded');
-    this.overlay.classList.add('active');
-    this.hamburger?.classList.add('active');
-    document.body.style.overflow = 'hidden';
-    this.isOpen = true;
+  render({ categories = [], items = [] }) {
+    if (this.nav) {
+      this.nav.innerHTML = categories.map((category, index) => this.renderTab(category, index === 0)).join('');
+    }
 
-    // Focus management for accessibility
-    const firstLink = this.sidebar.querySelector('.nav-link');
-    if (firstLink) firstLink.focus();
+    this.container.innerHTML = categories.map((category, index) => (
+      this.renderCategory(category, items.filter(item => item.category === category.id), index === 0)
+    )).join('');
   }
 
-  close() {
-    if (!this.sidebar || !this.overlay) return;
-    
-    this.sidebar.classList.remove('sidebar-expanded');
-    this.overlay.classList.remove('active');
-    this.hamburger?.classList.remove('active');
-    document.body.style.overflow = '';
-    this.isOpen = false;
+  renderTab(category, active) {
+    const escape = Utils.escapeHtml;
 
-    // Return focus to hamburger
-    this.hamburger?.focus();
+    return `
+      <button class="nav-link-portfolio${active ? ' active' : ''}" data-category="${escape(category.id)}" aria-selected="${active}" role="tab">
+        <i class="fas ${escape(category.icon || 'fa-folder')}" aria-hidden="true"></i>
+        ${escape(category.label)}
+      </button>
+    `;
   }
 
-  toggleDesktop() {
-    if (!this.sidebar) return;
-    this.sidebar.classList.toggle('collapsed');
+  renderCategory(category, items, active) {
+    const escape = Utils.escapeHtml;
+    const id = escape(category.id);
+    const body = category.subcategories?.length
+      ? this.renderSubcategories(category.subcategories, items)
+      : this.renderGrid(items);
+
+    return `
+      <section class="portfolio-category${active ? ' active' : ''}" id="${id}" role="tabpanel" aria-labelledby="${id}-header"${active ? '' : ' hidden'}>
+        <div class="portfolio-header">
+          <h3 id="${id}-header">${escape(category.title || category.label)}</h3>
+          ${category.description ? `<p>${escape(category.description)}</p>` : ''}
+        </div>
+        ${body}
+      </section>
+    `;
   }
 
-  openSidebar() {
-    if (!this.sidebar) return;
-    this.sidebar.classList.remove('collapsed');
-    if (state.isMobile) {
-      this.sidebar.classList.add('sidebar-expanded');
+  renderSubcategories(subcategories, items) {
+    const escape = Utils.escapeHtml;
+
+    const links = subcategories.map((subcategory, index) => `
+      <button class="subnav-link${index === 0 ? ' active' : ''}" data-subcategory="${escape(subcategory.id)}" aria-selected="${index === 0}" role="tab">${escape(subcategory.label)}</button>
+    `).join('');
+
+    const panes = subcategories.map((subcategory, index) => {
+      const id = escape(subcategory.id);
+      const active = index === 0;
+
+      return `
+        <div class="branding-subcategory${active ? ' active' : ''}" id="${id}" role="tabpanel" aria-labelledby="${id}-header"${active ? '' : ' hidden'}>
+          <h4 id="${id}-header" class="visually-hidden">${escape(subcategory.label)}</h4>
+          ${this.renderGrid(items.filter(item => item.subcategory === subcategory.id))}
+        </div>
+      `;
+    }).join('');
+
+    return `
+      <nav class="branding-subnav" aria-label="${escape(this.options.subnavLabel)}">
+        <div class="subnav-container">${links}</div>
+      </nav>
+      ${panes}
+    `;
+  }
+
+  renderGrid(items) {
+    if (!items.length) {
+      return `<p class="portfolio-message">${Utils.escapeHtml(this.options.messages.empty)}</p>`;
     }
+
+    return `<div class="portfolio-grid">${items.map(item => this.renderItem(item)).join('')}</div>`;
   }
 
-  closeSidebar() {
-    if (!this.sidebar) return;
-    this.sidebar.classList.add('collapsed');
-    this.sidebar.classList.remove('sidebar-expanded');
+  renderItem(item) {
+    const escape = Utils.escapeHtml;
+    const type = item.type || 'image';
+    const schema = type === 'video' ? 'VideoObject' : item.url ? 'WebSite' : 'CreativeWork';
+    const captions = item.captions ? ` data-captions="${escape(item.captions)}"` : '';
+    const image = type === 'video' ? null : item.preview || item.file;
+    const placeholder = ResponsiveImages.get(image)?.placeholder;
+
+    const media = type === 'video'
+      ? `
+        <img class="video-poster" alt="" width="400" height="300" hidden>
+        <i class="fas fa-play-circle video-play-icon" aria-hidden="true"></i>
+        <span class="video-duration" hidden></span>
+      `
+      : ResponsiveImages.markup(image, {
+        alt: item.alt || item.title,
+        sizes: config.images.cardSizes,
+        attributes: 'loading="lazy" width="400" height="300" itemprop="image"'
+      });
+
+    const tags = (item.tags || []).map(tag => `<span>${escape(tag)}</span>`).join('');
+
+    return `
+      <article class="portfolio-item" itemscope itemtype="https://schema.org/${schema}">
+        <div class="portfolio-image${type === 'video' ? ' video-thumb' : ''}${placeholder ? ' has-placeholder' : ''}"${placeholder ? ` style="--placeholder: url('${placeholder}')"` : ''}>
+          ${media}
+          <div class="portfolio-overlay">
+            <button class="view-btn" data-image="${escape(item.file)}" data-type="${escape(type)}" data-alt="${escape(item.alt || item.title)}"${captions}>${escape(this.options.viewLabels[type] || this.options.viewLabels.image)}</button>
+          </div>
+        </div>
+        <div class="item-info">
+          <h5 itemprop="name">${escape(item.title)}</h5>
+          ${item.description ? `<p itemprop="description">${escape(item.description)}</p>` : ''}
+          ${type === 'video' ? `<meta itemprop="contentUrl" content="${escape(item.file)}">` : ''}
+          ${tags ? `<div class="portfolio-tags">${tags}</div>` : ''}
+          ${item.url ? `
+            <a href="${escape(item.url)}" target="_blank" rel="noopener" class="nav-link-portfolio portfolio-visit" itemprop="url">
+              ${escape(this.options.visitLabel)}
+            </a>
+          ` : ''}
+        </div>
+      </article>
+    `;
   }
 
-  handleResize() {
-    clearTimeout(state.resizeTimeout);
-    state.resizeTimeout = setTimeout(() => {
-      state.isMobile = window.innerWidth < 768;
-      
-      if (state.isMobile && this.isOpen) {
-        this.close();
-      }
-      
-      if (!state.isMobile) {
-        this.overlay?.classList.remove('active');
-        document.body.style.overflow = '';
-        this.isOpen = false;
-      }
-    }, config.resizeDelay);
+  renderError() {
+    this.container.innerHTML = `
+      <p class="portfolio-message" role="alert">${Utils.escapeHtml(this.options.messages.error)}</p>
+    `;
   }
 }
 
 /**
- * Testimonial carousel
+ * Portfolio filter
+ * A search box and tag chips that narrow the cards in every category at
+ * once. The state is kept in the query string (?q=...&tag=...) so a
+ * filtered view can be shared as a link.
  */
-class TestimonialCarousel {
-  constructor() {
-    this.track = document.querySelector('.testimonial-track');
-    this.slides = document.querySelectorAll('.testimonial-slide');
-    this.prevBtn = document.getElementById('prev');
-    this.nextBtn = document.getElementById('next');
-    this.dotsContainer = document.querySelector('.carousel-dots');
-    this.dots = [];
-    
-    if (this.slides.length > 1) {
+class PortfolioFilter {
+  constructor(options = config.filter) {
+    this.options = options;
+    this.form = document.querySelector('.portfolio-filter');
+    this.items = Array.from(document.querySelectorAll('.portfolio-item'));
+    this.query = '';
+    this.tags = new Set();
+    this.showAllTags = false;
+    this.searchTimer = null;
+
+    if (this.form && this.items.length) {
       this.init();
     }
   }
 
   init() {
-    this.createDots();
-    this.bindEvents();
-    this.startAutoAdvance();
-  }
+    this.input = this.form.querySelector('.filter-search');
+    this.chips = this.form.querySelector('.filter-tags');
+    this.clearBtn = this.form.querySelector('.filter-clear');
+    this.statusEl = this.form.querySelector('.filter-status');
 
-  createDots() {
-    if (!this.dotsContainer) return;
+    this.index = this.items.map(item => {
+      const tags = Array.from(item.querySelectorAll('.portfolio-tags span'), span => span.textContent.trim());
+      const text = [
+        item.querySelector('h5')?.textContent,
+        item.querySelector('[itemprop="description"]')?.textContent,
+        ...tags
+      ].join(' ');
 
-    this.slides.forEach((_, index) => {
-      const dot = document.createElement('button');
-      dot.className = 'carousel-dot';
-      dot.setAttribute('aria-label', `Go to testimonial ${index + 1}`);
-      dot.addEventListener('click', () => this.goToSlide(index));
-      
-      this.dotsContainer.appendChild(dot);
-      this.dots.push(dot);
+      return { item, tags, text: PortfolioFilter.normalize(text) };
     });
 
-    this.updateDots();
+    this.tagCounts = this.countTags();
+    this.readUrl();
+    this.bindEvents();
+    this.apply({ updateUrl: false });
   }
 
-  bindEvents() {
-    // Navigation buttons
-    if (this.prevBtn) {
-      this.prevBtn.addEventListener('click', () => this.prev());
-    }
-
-    if (this.nextBtn) {
-      this.nextBtn.addEventListener('click', () => this.next());
-    }
-
-    // Keyboard navigation
-    if (this.track) {
-      this.track.addEventListener('keydown', (e) => {
-        if (e.key === 'ArrowLeft') this.prev();
-        if (e.key === 'ArrowRight') this.next();
-      });
-    }
+  // Lower case without accents, so "cafe" finds "Café"
+  static normalize(value) {
+    return String(value || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+  }
 
-    // Pause on hover/focus
-    if (this.track) {
-      this.track.addEventListener('mouseenter', () => this.stopAutoAdvance());
-      this.track.addEventListener('mouseleave', () => this.startAutoAdvance());
-      this.track.addEventListener('focusin', () => this.stopAutoAdvance());
-      this.track.addEventListener('focusout', () => this.startAutoAdvance());
-    }
+  countTags() {
+    const counts = new Map();
+    this.index.forEach(entry => entry.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1)));
 
-    // Swipe support for touch devices
-    this.addSwipeSupport();
+    return Array.from(counts).sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]));
   }
 
-  addSwipeSupport() {
-    if (!this.track) return;
+  bindEvents() {
+    this.form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.setQuery(this.input.value);
+    });
 
-    let startX = 0;
-    let currentX = 0;
+    this.input.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.setQuery(this.input.value), this.options.searchDelay);
+    });
 
-    const handleStart = (e) => {
-      startX = e.type.includes('mouse') ? e.pageX : e.touches[0].pageX;
-      this.stopAutoAdvance();
-    };
+    this.chips.addEventListener('click', (e) => {
+      const chip = e.target.closest('[data-tag]');
+      if (chip) this.toggleTag(chip.dataset.tag);
 
-    const handleMove = (e) => {
-      if (!startX) return;
-      currentX = e.type.includes('mouse') ? e.pageX : e.touches[0].pageX;
-    };
+      if (e.target.closest('.filter-more')) {
+        this.showAllTags = !this.showAllTags;
+        this.renderChips();
+      }
+    });
 
-    const handleEnd = () => {
-      if (!startX) return;
+    this.clearBtn?.addEventListener('click', () => this.reset());
 
-      const diff = startX - currentX;
-      const threshold = 50;
+    // Tags on the cards filter too
+    document.addEventListener('click', (e) => {
+      const tag = e.target.closest('.portfolio-tags span');
+      if (tag) this.toggleTag(tag.textContent.trim());
 
-      if (Math.abs(diff) > threshold) {
-        if (diff > 0) {
-          this.next();
-        } else {
-          this.prev();
-        }
+      const jump = e.target.closest('[data-filter-jump]');
+      if (jump) {
+        document.querySelector(`[data-category="${jump.dataset.filterJump}"], [data-subcategory="${jump.dataset.filterJump}"]`)?.click();
       }
 
-      startX = 0;
-      currentX = 0;
-      this.startAutoAdvance();
-    };
+      if (e.target.closest('[data-filter-reset]')) this.reset();
+    });
+
+    window.addEventListener('popstate', () => {
+      this.readUrl();
+      this.apply({ updateUrl: false });
+    });
+  }
 
-    // Mouse events
-    this.track.addEventListener('mousedown', handleStart);
-    document.addEventListener('mousemove', handleMove);
-    document.addEventListener('mouseup', handleEnd);
+  readUrl() {
+    const params = new URLSearchParams(window.location.search);
+    const known = new Set(this.tagCounts.map(([tag]) => tag));
 
-    // Touch events
-    this.track.addEventListener('touchstart', handleStart);
-    document.addEventListener('touchmove', handleMove);
-    document.addEventListener('touchend', handleEnd);
+    this.query = (params.get(this.options.queryParam) || '').trim();
+    this.tags = new Set(params.getAll(this.options.tagParam).filter(tag => known.has(tag)));
+    this.input.value = this.query;
   }
 
-  goToSlide(index) {
-    if (index < 0) index = this.slides.length - 1;
-    if (index >= this.slides.length) index = 0;
+  writeUrl() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(this.options.queryParam);
+    url.searchParams.delete(this.options.tagParam);
 
-    const slideWidth = this.slides[0].offsetWidth;
-    if (this.track) {
-      this.track.style.transform = `translateX(-${index * slideWidth}px)`;
-    }
+    if (this.query) url.searchParams.set(this.options.queryParam, this.query);
+    this.tags.forEach(tag => url.searchParams.append(this.options.tagParam, tag));
 
-    state.currentTestimonial = index;
-    this.updateDots();
-    
-    // Accessibility
-    this.slides.forEach((slide, i) => {
-      slide.setAttribute('aria-hidden', i !== index);
-      slide.querySelector('.testimonial-content')?.setAttribute('tabindex', i === index ? '0' : '-1');
-    });
+    // Replace rather than push, so typing does not fill the back button
+    history.replaceState(history.state, '', url);
   }
 
-  next() {
-    this.goToSlide(state.currentTestimonial + 1);
-  }
+  setQuery(value) {
+    const query = value.trim();
+    if (query === this.query) return;
 
-  prev() {
-    this.goToSlide(state.currentTestimonial - 1);
+    this.query = query;
+    this.apply();
   }
 
-  updateDots() {
-    this.dots.forEach((dot, index) => {
-      dot.classList.toggle('active', index === state.currentTestimonial);
-      dot.setAttribute('aria-current', index === state.currentTestimonial);
-    });
+  toggleTag(tag) {
+    this.tags.has(tag) ? this.tags.delete(tag) : this.tags.add(tag);
+    this.apply();
   }
 
-  startAutoAdvance() {
-    this.stopAutoAdvance();
-    state.carouselInterval = setInterval(() => {
-      this.next();
-    }, config.carouselInterval);
+  reset() {
+    this.query = '';
+    this.tags.clear();
+    this.input.value = '';
+    this.apply();
   }
 
-  stopAutoAdvance() {
-    if (state.carouselInterval) {
-      clearInterval(state.carouselInterval);
-      state.carouselInterval = null;
-    }
+  isActive() {
+    return Boolean(this.query || this.tags.size);
   }
-}
 
-/**
- * Image modal system
- */
-class ImageModal {
-  constructor() {
-    this.modal = document.getElementById('imageModal');
-    this.modalContent = this.modal?.querySelector('.modal-content');
-    this.modalClose = this.modal?.querySelector('.modal-close');
-    
-    if (this.modal) {
-      this.init();
-    }
-  }
+  matches(entry) {
+    const terms = PortfolioFilter.normalize(this.query).split(/\s+/).filter(Boolean);
 
-  init() {
-    this.bindEvents();
+    return terms.every(term => entry.text.includes(term)) &&
+      Array.from(this.tags).every(tag => entry.tags.includes(tag));
   }
 
-  bindEvents() {
-    // View buttons
-    document.querySelectorAll('.view-btn').forEach(button => {
-      button.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.open(button);
-      });
+  apply({ updateUrl = true } = {}) {
+    let total = 0;
+
+    this.index.forEach(entry => {
+      const match = this.matches(entry);
+      entry.item.hidden = !match;
+      if (match) total++;
     });
 
-    // Close events
-    if (this.modalClose) {
-      this.modalClose.addEventListener('click', () => this.close());
-    }
+    this.renderChips();
+    this.updateCounts();
+    this.updateEmptyStates();
+    this.updateStatus(total);
 
-    this.modal?.addEventListener('click', (e) => {
-      if (e.target === this.modal) this.close();
-    });
+    if (this.clearBtn) this.clearBtn.hidden = !this.isActive();
+    if (updateUrl) this.writeUrl();
+  }
 
-    document.addEventListener('keydown', (e) => {
-      if (e.key === 'Escape' && this.modal?.classList.contains('open')) {
-        this.close();
+  renderChips() {
+    const escape = Utils.escapeHtml;
+    const limit = this.options.maxTags;
+
+    // Selected tags always stay visible
+    const visible = this.tagCounts.filter(([tag], index) => (
+      this.showAllTags || index < limit || this.tags.has(tag)
+    ));
+
+    const chips = visible.map(([tag, count]) => `
+      <button type="button" class="filter-chip" data-tag="${escape(tag)}" aria-pressed="${this.tags.has(tag)}">
+        ${escape(tag)} <span class="filter-chip-count" aria-hidden="true">${count}</span>
+      </button>
+    `).join('');
+
+    const more = this.tagCounts.length > limit ? `
+      <button type="button" class="filter-more" aria-expanded="${this.showAllTags}">
+        ${escape(this.showAllTags ? this.options.messages.fewerTags : this.options.messages.moreTags)}
+      </button>
+    ` : '';
+
+    this.chips.innerHTML = chips + more;
+  }
+
+  // Result counts on the category and subcategory tabs
+  updateCounts() {
+    document.querySelectorAll('[data-category], [data-subcategory]').forEach(link => {
+      const id = link.dataset.category || link.dataset.subcategory;
+      const pane = document.getElementById(id);
+      if (!pane) return;
+
+      let badge = link.querySelector('.filter-count');
+      if (!this.isActive()) {
+        badge?.remove();
+        return;
+      }
+
+      if (!badge) {
+        badge = document.createElement('span');
+        badge.className = 'filter-count';
+        link.appendChild(badge);
       }
+
+      const count = pane.querySelectorAll('.portfolio-item:not([hidden])').length;
+      badge.textContent = i18n.formatNumber(count);
+      badge.setAttribute('aria-label', i18n.plural(this.options.messages.count, count));
     });
   }
 
-  open(button) {
-    const imgSrc = button.getAttribute('data-image');
-    const imgAlt = button.getAttribute('data-alt') || 'Portfolio Image';
-
-    if (!imgSrc || !this.modalContent) return;
+  updateEmptyStates() {
+    document.querySelectorAll('.portfolio-grid').forEach(grid => {
+      const empty = grid.parentElement.querySelector(':scope > .filter-empty');
+      const hasResults = Boolean(grid.querySelector('.portfolio-item:not([hidden])'));
 
-    // Create image with loading state
-    this.modalContent.innerHTML = `
-      <div class="loading" style="min-height: 200px; display: flex; align-items: center; justify-content: center;">
-        Loading...
-      </div>
-    `;
+      if (hasResults || !this.isActive()) {
+        empty?.remove();
+        return;
+      }
 
-    const img = new Image();
-    img.src = imgSrc;
-    img.alt = imgAlt;
-    img.loading = 'eager';
+      const message = empty || document.createElement('div');
+      message.className = 'filter-empty portfolio-message';
+      message.innerHTML = this.renderEmptyState();
+      if (!empty) grid.after(message);
+    });
+  }
 
-    img.onload = () => {
-      this.modalContent.innerHTML = '';
-      this.modalContent.appendChild(img);
-    };
+  // Point to the categories that do have matches
+  renderEmptyState() {
+    const escape = Utils.escapeHtml;
+    const elsewhere = Array.from(document.querySelectorAll('.portfolio-category'))
+      .map(pane => ({
+        id: pane.id,
+        name: pane.querySelector('.portfolio-header h3')?.textContent.trim() || pane.id,
+        count: pane.querySelectorAll('.portfolio-item:not([hidden])').length
+      }))
+      .filter(pane => pane.count);
 
-    img.onerror = () => {
-      this.modalContent.innerHTML = `
-        <div style="padding: 2rem; text-align: center; color: var(--muted);">
-          <i class="fas fa-exclamation-triangle" style="font-size: 3rem; margin-bottom: 1rem;"></i>
-          <p>Failed to load image</p>
-        </div>
-      `;
-    };
+    const links = elsewhere.map(pane => `
+      <button type="button" class="filter-chip" data-filter-jump="${escape(pane.id)}">${escape(pane.name)} (${pane.count})</button>
+    `).join('');
 
-    this.modal?.classList.add('open');
-    document.body.style.overflow = 'hidden';
-    
-    // Focus management for accessibility
-    this.modalClose?.focus();
+    return `
+      <p>${escape(this.options.messages.empty)}</p>
+      ${links ? `<p>${escape(this.options.messages.elsewhere)}</p><div class="filter-tags">${links}</div>` : ''}
+      <button type="button" class="btn" data-filter-reset>${escape(this.options.messages.clear)}</button>
+    `;
   }
 
-  close() {
-    this.modal?.classList.remove('open');
-    document.body.style.overflow = '';
-    
-    // Return focus to the button that opened the modal
-    const activeElement = document.activeElement;
-    if (activeElement?.classList.contains('view-btn')) {
-      activeElement.focus();
-    }
+  updateStatus(total) {
+    if (!this.statusEl) return;
+
+    this.statusEl.textContent = this.isActive()
+      ? i18n.plural(this.options.messages.results, total)
+      : '';
   }
 }
 
 /**
- * Form handling
+ * Tab management system
+ * WAI-ARIA tabs for the portfolio categories and branding subcategories,
+ * with the open view kept in the URL hash (#branding/logos).
  */
-class ContactForm {
-  constructor() {
-    this.form = document.getElementById('contactForm');
-    if (this.form) {
-      this.init();
+class TabManager {
+  constructor(options = config.tabs) {
+    this.options = options;
+    this.groups = [];
+
+    this.initPortfolioTabs();
+    this.initBrandingTabs();
+
+    if (this.groups.length) {
+      this.bindHistory();
+      this.restoreFromHash();
     }
   }
 
-  init() {
-    this.bindEvents();
-    this.setupValidation();
+  initPortfolioTabs() {
+    this.addGroup('.portfolio-nav .nav-container', '[data-category]', 'data-category');
   }
 
-  bindEvents() {
-    this.form.addEventListener('submit', (e) => this.handleSubmit(e));
-    
-    // Real-time validation
-    this.form.querySelectorAll('input, textarea').forEach(input => {
-      input.addEventListener('blur', () => this.validateField(input));
-      input.addEventListener('input', () => this.clearFieldError(input));
+  initBrandingTabs() {
+    document.querySelectorAll('.subnav-container').forEach(container => {
+      this.addGroup(container, '[data-subcategory]', 'data-subcategory');
     });
   }
 
-  setupValidation() {
-    // Add required attributes
-    const requiredFields = this.form.querySelectorAll('[required]');
-    requiredFields.forEach(field => {
-      field.setAttribute('aria-required', 'true');
+  addGroup(containerOrSelector, tabSelector, dataAttribute) {
+    const container = typeof containerOrSelector === 'string'
+      ? document.querySelector(containerOrSelector)
+      : containerOrSelector;
+    const tabs = Array.from(container?.querySelectorAll(tabSelector) || []);
+    const panes = tabs.map(tab => document.getElementById(tab.getAttribute(dataAttribute)));
+
+    if (!tabs.length || panes.some(pane => !pane)) return;
+
+    const group = {
+      container,
+      tabs,
+      panes,
+      dataAttribute,
+      activation: container.dataset.activation || this.options.activation,
+      // What a URL without a hash (or without this group in it) shows
+      defaultTab: tabs.find(tab => tab.classList.contains('active')) || tabs[0]
+    };
+
+    container.setAttribute('role', 'tablist');
+    const label = container.closest('nav')?.getAttribute('aria-label');
+    if (label) container.setAttribute('aria-label', label);
+
+    tabs.forEach((tab, index) => {
+      const pane = panes[index];
+      tab.id = tab.id || `tab-${pane.id}`;
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('aria-controls', pane.id);
+      pane.setAttribute('role', 'tabpanel');
+      pane.setAttribute('aria-labelledby', tab.id);
     });
-  }
 
-  validateField(field) {
-    const value = field.value.trim();
-    let isValid = true;
-    let message = '';
+    this.select(group, group.defaultTab);
 
-    switch (field.type) {
-      case 'email':
-        isValid = this.isValidEmail(value);
-        message = isValid ? '' : 'Please enter a valid email address';
-        break;
-      default:
-        if (field.required && !value) {
-          isValid = false;
-          message = 'This field is required';
-        }
-    }
+    container.addEventListener('click', (e) => {
+      const tab = e.target.closest(tabSelector);
+      if (!tab || !tabs.includes(tab)) return;
 
-    this.setFieldValidity(field, isValid, message);
-    return isValid;
+      e.preventDefault();
+      this.activateTab(group, tab);
+    });
+
+    container.addEventListener('keydown', (e) => this.handleKeydown(e, group));
+
+    this.groups.push(group);
   }
 
-  setFieldValidity(field, isValid, message) {
-    field.setAttribute('aria-invalid', !isValid);
-    
-    // Remove existing error
-    const existingError = field.parentNode.querySelector('.field-error');
-    if (existingError) {
-      existingError.remove();
-    }
+  handleKeydown(e, group) {
+    const current = group.tabs.indexOf(e.target.closest('[role="tab"]'));
+    if (current === -1) return;
 
-    // Add error message
-    if (!isValid && message) {
-      const errorElement = document.createElement('div');
-      errorElement.className = 'field-error';
-      errorElement.style.cssText = `
-        color: var(--error);
-        font-size: 0.875rem;
-        margin-top: 0.25rem;
-      `;
-      errorElement.textContent = message;
-      errorElement.setAttribute('role', 'alert');
-      
-      field.parentNode.appendChild(errorElement);
+    // Arrow keys follow the reading direction
+    const rtl = getComputedStyle(group.container).direction === 'rtl';
+    const last = group.tabs.length - 1;
+    const targets = {
+      ArrowLeft: rtl ? current + 1 : current - 1,
+      ArrowRight: rtl ? current - 1 : current + 1,
+      Home: 0,
+      End: last
+    };
+
+    if (!(e.key in targets)) return;
+    e.preventDefault();
+
+    const index = (targets[e.key] + group.tabs.length) % group.tabs.length;
+    const tab = group.tabs[index];
+
+    group.tabs.forEach(item => item.setAttribute('tabindex', item === tab ? '0' : '-1'));
+    tab.focus();
+
+    // Automatic activation: selection follows focus
+    if (group.activation === 'auto') {
+      this.activateTab(group, tab, { replace: true });
     }
+  }
 
-    // Visual feedback
-    field.classList.toggle('error', !isValid);
+  activateTab(group, tab, { updateHistory = true, replace = false } = {}) {
+    this.select(group, tab);
+    if (updateHistory) this.writeHash(replace);
+
+    const [category, subcategory] = this.getHash().slice(1).split('/');
+    analytics.track('tab_switch', { tab: category, ...(subcategory ? { subtab: subcategory } : {}) });
   }
 
-  clearFieldError(field) {
-    field.classList.remove('error');
-    field.removeAttribute('aria-invalid');
-    
-    const errorElement = field.parentNode.querySelector('.field-error');
-    if (errorElement) {
-      errorElement.remove();
-    }
+  select(group, activeTab) {
+    group.tabs.forEach((tab, index) => {
+      const active = tab === activeTab;
+      const pane = group.panes[index];
+
+      tab.classList.toggle('active', active);
+      tab.setAttribute('aria-selected', active);
+      tab.setAttribute('tabindex', active ? '0' : '-1');
+
+      pane.classList.toggle('active', active);
+      pane.hidden = !active;
+    });
   }
 
-  isValidEmail(email) {
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    return emailRegex.test(email);
+  getSelected(group) {
+    return group.tabs.find(tab => tab.getAttribute('aria-selected') === 'true');
   }
 
-  async handleSubmit(e) {
-    e.preventDefault();
-    
-    // Validate all fields
-    const fields = this.form.querySelectorAll('input, textarea');
-    let isFormValid = true;
+  // "#branding/logos": the selected tab of each group on the way down
+  getHash() {
+    const [primary, ...nested] = this.groups;
+    const category = this.getSelected(primary);
+    if (!category) return '';
 
-    fields.forEach(field => {
-      if (!this.validateField(field)) {
-        isFormValid = false;
-      }
+    const pane = document.getElementById(category.getAttribute(primary.dataAttribute));
+    const parts = [pane.id];
+
+    nested.filter(group => pane.contains(group.container)).forEach(group => {
+      parts.push(this.getSelected(group).getAttribute(group.dataAttribute));
     });
 
-    if (!isFormValid) {
-      toast.show('Please fix the errors in the form', 'error');
-      
-      // Focus first invalid field
-      const firstInvalid = this.form.querySelector('[aria-invalid="true"]');
-      if (firstInvalid) firstInvalid.focus();
-      
-      return;
-    }
+    return `#${parts.join('/')}`;
+  }
+
+  writeHash(replace) {
+    const hash = this.getHash();
+    if (!hash || hash === window.location.hash) return;
+
+    // Keep the query string (portfolio filters) as it is
+    const url = new URL(window.location.href);
+    url.hash = hash;
+    history[replace ? 'replaceState' : 'pushState']({ tabs: hash }, '', url);
+  }
+
+  // popstate also fires for hash changes, so hashchange is not needed as well
+  bindHistory() {
+    window.addEventListener('popstate', () => this.restoreFromHash());
+  }
+
+  // Accepts "#branding/logos" and a bare "#logos"
+  restoreFromHash() {
+    const hash = window.location.hash.slice(1);
+    let ids;
 
-    // Simulate form submission
     try {
-      this.setFormState('loading');
-      
-      // Simulate API call
-      await this.submitForm();
-      
-      this.form.reset();
-      toast.show('Message sent successfully! I will get back to you soon.');
-      
+      ids = decodeURIComponent(hash).split('/').filter(Boolean);
     } catch (error) {
-      toast.show('Failed to send message. Please try again.', 'error');
-      console.error('Form submission error:', error);
-    } finally {
-      this.setFormState('idle');
+      // Malformed escapes, e.g. a truncated link; the raw ids may still match
+      ids = hash.split('/').filter(Boolean);
     }
-  }
 
-  setFormState(state) {
-    const submitButton = this.form.querySelector('button[type="submit"]');
-    const resetButton = this.form.querySelector('button[type="reset"]');
-    
-    if (state === 'loading') {
-      submitButton.disabled = true;
-      resetButton.disabled = true;
-      submitButton.classList.add('loading');
-      submitButton.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Sending...';
-    } else {
-      submitButton.disabled = false;
-      resetButton.disabled = false;
-      submitButton.classList.remove('loading');
-      submitButton.innerHTML = '<i class="fa fa-paper-plane"></i> Send Message';
-    }
-  }
+    // Groups the hash does not mention go back to their default tab
+    this.groups.forEach(group => this.select(group, group.defaultTab));
 
-  async submitForm() {
-    // Simulate API call delay
-    return new Promise((resolve, reject) => {
-      setTimeout(() => {
-        // Simulate random success/failure for demo
-        Math.random() > 0.2 ? resolve() : reject(new Error('Network error'));
-      }, 1500);
+    ids.forEach(id => {
+      const pane = document.getElementById(id);
+      const group = this.groups.find(item => item.panes.includes(pane));
+      if (!group) return;
+
+      // A subtab also opens the tab that contains it
+      this.groups.forEach(outer => {
+        const index = outer.panes.findIndex(outerPane => outerPane !== pane && outerPane.contains(pane));
+        if (index !== -1) this.select(outer, outer.tabs[index]);
+      });
+
+      this.select(group, group.tabs[group.panes.indexOf(pane)]);
     });
   }
 }
 
 /**
- * Animation controllers
+ * Performance monitor
+ * Core Web Vitals (LCP, CLS, INP, TTFB), long tasks and the load time of
+ * each portfolio grid image, all from PerformanceObserver. ?perf in the URL
+ * shows them in an overlay; with an endpoint configured they are beaconed
+ * once when the page is first hidden.
  */
-class AnimationManager {
-  constructor() {
-    this.observers = new Map();
+class PerformanceMonitor {
+  constructor(options = config.performance) {
+    this.options = options;
+    this.metrics = {};
+    this.longTasks = { count: 0, blockingTime: 0, longest: 0 };
+    this.images = [];
+    this.interactions = new Map();
+    this.layoutShifts = { value: 0, start: 0, last: 0 };
+    this.lcpFinal = false;
+    this.sent = false;
+    this.overlay = null;
+    this.frame = null;
+
+    if (!('PerformanceObserver' in window)) return;
+
+    this.debug = this.options.debug || new URLSearchParams(window.location.search).has(this.options.debugParam);
     this.init();
   }
 
   init() {
-    this.setupSkillAnimations();
-    this.setupScrollAnimations();
-  }
+    this.measureTtfb();
 
-  setupSkillAnimations() {
-    const skillLevels = document.querySelectorAll('.skill-level');
-    if (!skillLevels.length) return;
+    this.observe('largest-contentful-paint', entries => this.handleLcp(entries));
+    this.observe('layout-shift', entries => this.handleLayoutShifts(entries));
+    this.observe('event', entries => this.handleInteractions(entries), { durationThreshold: 40 });
+    this.observe('first-input', entries => this.handleInteractions(entries));
+    this.observe('longtask', entries => this.handleLongTasks(entries));
+    this.observe('resource', entries => this.handleResources(entries));
 
-    const skillObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          const targetWidth = entry.target.getAttribute('data-target') || '90%';
-          entry.target.style.width = targetWidth;
-          skillObserver.unobserve(entry.target);
-        }
-      });
-    }, { 
-      threshold: config.skillAnimationThreshold,
-      rootMargin: '0px 0px -50px 0px'
+    // The browser stops reporting LCP candidates after the first input; so do we
+    ['keydown', 'pointerdown'].forEach(type => {
+      window.addEventListener(type, () => { this.lcpFinal = true; }, { once: true, capture: true });
     });
 
-    skillLevels.forEach(skill => {
-      skill.style.width = '0%';
-      skillObserver.observe(skill);
+    document.addEventListener('visibilitychange', () => {
+      if (document.hidden) this.report();
     });
+    window.addEventListener('pagehide', () => this.report());
+
+    if (this.debug) {
+      this.createOverlay();
+    }
   }
 
-  setupScrollAnimations() {
-    const animatedElements = document.querySelectorAll(
-      '.content-card, .portfolio-item, .skills-box, .education-entry, .testimonial-content, .competency-card, .experience-entry'
-    );
+  observe(type, callback, options = {}) {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return;
 
-    if (!animatedElements.length) return;
+    try {
+      new PerformanceObserver(list => callback(list.getEntries()))
+        .observe({ type, buffered: true, ...options });
+    } catch (error) {
+      console.warn(`Cannot observe ${type} entries:`, error);
+    }
+  }
 
-    const animationObserver = new IntersectionObserver((entries) => {
-      entries.forEach(entry => {
-        if (entry.isIntersecting) {
-          entry.target.style.opacity = '1';
-          entry.target.style.transform = 'translateY(0)';
-          animationObserver.unobserve(entry.target);
-        }
-      });
-    }, { 
-      threshold: config.animationThreshold,
-      rootMargin: '0px 0px -100px 0px'
+  measureTtfb() {
+    const [navigation] = performance.getEntriesByType?.('navigation') || [];
+    if (!navigation) return;
+
+    // activationStart is set for prerendered pages
+    this.setMetric('TTFB', Math.max(navigation.responseStart - (navigation.activationStart || 0), 0));
+  }
+
+  handleLcp(entries) {
+    if (this.lcpFinal || !entries.length) return;
+    this.setMetric('LCP', entries[entries.length - 1].startTime);
+  }
+
+  // CLS is the worst session: shifts less than 1s apart, within a 5s window
+  handleLayoutShifts(entries) {
+    const session = this.layoutShifts;
+
+    entries.filter(entry => !entry.hadRecentInput).forEach(entry => {
+      if (!session.value || entry.startTime - session.last > 1000 || entry.startTime - session.start > 5000) {
+        session.value = 0;
+        session.start = entry.startTime;
+      }
+
+      session.value += entry.value;
+      session.last = entry.startTime;
+      this.setMetric('CLS', Math.max(this.metrics.CLS || 0, session.value));
     });
+  }
 
-    animatedElements.forEach(element => {
-      element.style.opacity = '0';
-      element.style.transform = 'translateY(20px)';
-      element.style.transition = 'opacity 0.6s ease, transform 0.6s ease';
-      animationObserver.observe(element);
+  handleInteractions(entries) {
+    entries.filter(entry => entry.interactionId).forEach(entry => {
+      this.interactions.set(entry.interactionId, Math.max(this.interactions.get(entry.interactionId) || 0, entry.duration));
     });
+
+    if (!this.interactions.size) return;
+
+    // Close to the 98th percentile: one outlier is forgiven per 50 interactions
+    const durations = Array.from(this.interactions.values()).sort((a, b) => b - a);
+    this.setMetric('INP', durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)]);
   }
-}
 
-/**
- * Tab management system
- */
-class TabManager {
-  constructor() {
-    this.initPortfolioTabs();
-    this.initBrandingTabs();
+  handleLongTasks(entries) {
+    entries.forEach(entry => {
+      this.longTasks.count++;
+      // Total blocking time counts what each task spent past 50ms
+      this.longTasks.blockingTime += Math.max(entry.duration - 50, 0);
+      this.longTasks.longest = Math.max(this.longTasks.longest, entry.duration);
+    });
+
+    this.update();
   }
 
-  initPortfolioTabs() {
-    const tabLinks = document.querySelectorAll('.nav-link-portfolio');
-    const tabPanes = document.querySelectorAll('.portfolio-category');
+  handleResources(entries) {
+    const images = entries.filter(entry => entry.initiatorType === 'img');
+    if (!images.length) return;
 
-    if (!tabLinks.length || !tabPanes.length) return;
+    // currentSrc is the srcset candidate the browser picked
+    const grid = new Set(Array.from(document.querySelectorAll(this.options.imageSelector)).map(img => img.currentSrc || img.src));
 
-    tabLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.activateTab(link, tabLinks, tabPanes, 'data-category');
+    images.filter(entry => grid.has(entry.name)).forEach(entry => {
+      this.images.push({
+        url: decodeURIComponent(new URL(entry.name).pathname),
+        duration: Math.round(entry.responseEnd - entry.startTime),
+        size: entry.transferSize || entry.encodedBodySize || 0
       });
     });
+
+    this.update();
   }
 
-  initBrandingTabs() {
-    const subnavLinks = document.querySelectorAll('.subnav-link');
-    const subcategoryPanes = document.querySelectorAll('.branding-subcategory');
+  setMetric(name, value) {
+    this.metrics[name] = value;
+    this.update();
+  }
+
+  rate(name, value) {
+    const [good, poor] = this.options.thresholds[name];
+    if (value <= good) return 'good';
+    return value <= poor ? 'needs-improvement' : 'poor';
+  }
 
-    if (!subnavLinks.length || !subcategoryPanes.length) return;
+  summary() {
+    const durations = this.images.map(image => image.duration);
 
-    subnavLinks.forEach(link => {
-      link.addEventListener('click', (e) => {
-        e.preventDefault();
-        this.activateTab(link, subnavLinks, subcategoryPanes, 'data-subcategory');
-      });
+    return {
+      page: window.location.pathname,
+      metrics: Object.fromEntries(Object.entries(this.metrics).map(([name, value]) => [name, {
+        value: name === 'CLS' ? Number(value.toFixed(4)) : Math.round(value),
+        rating: this.rate(name, value)
+      }])),
+      longTasks: {
+        count: this.longTasks.count,
+        blockingTime: Math.round(this.longTasks.blockingTime),
+        longest: Math.round(this.longTasks.longest)
+      },
+      images: {
+        count: durations.length,
+        average: durations.length ? Math.round(durations.reduce((sum, value) => sum + value, 0) / durations.length) : 0,
+        slowest: [...this.images].sort((a, b) => b.duration - a.duration).slice(0, 5)
+      }
+    };
+  }
+
+  // Once per page, with whatever has been measured by then
+  report() {
+    const { endpoint } = this.options;
+    if (this.sent || !endpoint || Analytics.doNotTrack()) return;
+
+    this.sent = true;
+    const body = JSON.stringify(this.summary());
+
+    if (navigator.sendBeacon && navigator.sendBeacon(endpoint, body)) return;
+
+    fetch(endpoint, { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true })
+      .catch(error => console.warn('Could not send performance metrics:', error));
+  }
+
+  update() {
+    if (!this.overlay || this.frame) return;
+
+    this.frame = requestAnimationFrame(() => {
+      this.frame = null;
+      this.renderOverlay();
     });
   }
 
-  activateTab(activeLink, allLinks, allPanes, dataAttribute) {
-    // Update links
-    allLinks.forEach(tab => tab.classList.remove('active'));
-    activeLink.classList.add('active');
+  createOverlay() {
+    this.overlay = document.createElement('aside');
+    this.overlay.className = 'perf-overlay';
+    this.overlay.setAttribute('aria-label', this.options.messages.title);
 
-    // Update panes
-    allPanes.forEach(pane => pane.classList.remove('active'));
-    const targetId = activeLink.getAttribute(dataAttribute);
-    const activePane = document.getElementById(targetId);
-    
-    if (activePane) {
-      activePane.classList.add('active');
-      
-      // Accessibility
-      activePane.setAttribute('aria-hidden', 'false');
-      allPanes.forEach(pane => {
-        if (pane !== activePane) {
-          pane.setAttribute('aria-hidden', 'true');
-        }
-      });
-    }
+    this.overlay.addEventListener('click', (e) => {
+      if (!e.target.closest('.perf-overlay-close')) return;
+      this.overlay.remove();
+      this.overlay = null;
+    });
+
+    document.body.appendChild(this.overlay);
+    this.renderOverlay();
+  }
+
+  renderOverlay() {
+    const escape = Utils.escapeHtml;
+    const { messages } = this.options;
+    const { metrics, longTasks, images } = this.summary();
+
+    const rows = ['LCP', 'CLS', 'INP', 'TTFB'].map(name => {
+      const metric = metrics[name];
+      const value = metric ? `${metric.value}${name === 'CLS' ? '' : ' ms'}` : messages.pending;
+      return `<dt>${name}</dt><dd class="perf-${metric ? metric.rating : 'pending'}">${escape(value)}</dd>`;
+    });
+
+    rows.push(`<dt>${escape(messages.longTasks)}</dt><dd>${escape(Utils.formatMessage(messages.longTasksValue, longTasks))}</dd>`);
+    rows.push(`<dt>${escape(messages.images)}</dt><dd>${escape(Utils.formatMessage(messages.imagesValue, images))}</dd>`);
+
+    const slowest = images.slowest.map(image => (
+      `<li>${escape(image.url.split('/').pop())} <span>${image.duration} ms</span></li>`
+    )).join('');
+
+    this.overlay.innerHTML = `
+      <div class="perf-overlay-header">
+        <strong>${escape(messages.title)}</strong>
+        <button type="button" class="perf-overlay-close" aria-label="${escape(messages.close)}">
+          <i class="fas fa-times" aria-hidden="true"></i>
+        </button>
+      </div>
+      <dl>${rows.join('')}</dl>
+      ${slowest ? `<ol class="perf-overlay-images">${slowest}</ol>` : ''}
+    `;
   }
 }
 
@@ -764,7 +6754,7 @@ const Utils = {
   // Set current year in footer
   setCurrentYear() {
     if (elements.yearEl) {
-      elements.yearEl.textContent = new Date().getFullYear();
+      elements.yearEl.textContent = i18n.formatNumber(new Date().getFullYear(), { useGrouping: false });
     }
   },
 
@@ -785,7 +6775,7 @@ const Utils = {
   initBackToTop() {
     if (!elements.backToTopBtn) return;
 
-    elements.backToTopBtn.setAttribute('aria-label', 'Back to top');
+    elements.backToTopBtn.setAttribute('aria-label', config.messages.backToTop);
     
     const scrollHandler = () => {
       const show = window.pageYOffset > config.scrollThreshold;
@@ -793,6 +6783,7 @@ const Utils = {
     };
 
     const clickHandler = () => {
+      analytics.track('back_to_top');
       window.scrollTo({
         top: 0,
         behavior: 'smooth'
@@ -803,17 +6794,117 @@ const Utils = {
     elements.backToTopBtn.addEventListener('click', clickHandler);
   },
 
+  // fetch() with an abort after `timeout` ms
+  async fetchWithTimeout(url, options = {}, timeout = config.contact.timeout) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), timeout);
+
+    try {
+      return await fetch(url, { ...options, signal: controller.signal });
+    } finally {
+      clearTimeout(timer);
+    }
+  },
+
+  // Replace {name} placeholders with values
+  formatMessage(template, values = {}) {
+    return String(template).replace(/\{(\w+)\}/g, (match, key) => (
+      key in values ? values[key] : match
+    ));
+  },
+
+  // Fetch and parse a JSON file once per page
+  loadJson(url) {
+    if (!state.jsonCache.has(url)) {
+      const request = fetch(url).then(response => {
+        if (!response.ok) throw new Error(`Failed to load ${url}: ${response.status}`);
+        return response.json();
+      });
+
+      // Do not cache failures
+      request.catch(() => state.jsonCache.delete(url));
+      state.jsonCache.set(url, request);
+    }
+
+    return state.jsonCache.get(url);
+  },
+
+  // Save generated text as a file
+  downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+
+    // Revoking straight away can cancel the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  },
+
+  // Escape text for use inside innerHTML templates
+  escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+      '&': '&amp;',
+      '<': '&lt;',
+      '>': '&gt;',
+      '"': '&quot;',
+      "'": '&#39;'
+    })[char]);
+  },
+
+  // Seconds as m:ss or h:mm:ss
+  formatTime(seconds) {
+    const total = Number.isFinite(seconds) ? Math.floor(seconds) : 0;
+    const hours = Math.floor(total / 3600);
+    const minutes = Math.floor((total % 3600) / 60);
+    const secs = String(total % 60).padStart(2, '0');
+
+    return hours ? `${hours}:${String(minutes).padStart(2, '0')}:${secs}` : `${minutes}:${secs}`;
+  },
+
+  // Small non-cryptographic hash (djb2), enough to compare strings without storing them
+  hashString(value) {
+    let hash = 5381;
+    for (let i = 0; i < value.length; i++) {
+      hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+    }
+    return (hash >>> 0).toString(16);
+  },
+
   // Image optimization
-  optimizeImages() {
-    const images = document.querySelectorAll('img[loading="lazy"]');
+  optimizeImages(root = document) {
+    const images = root.querySelectorAll('img[loading="lazy"]');
     
     images.forEach(img => {
       // Add error handling
       img.addEventListener('error', function() {
+        // The browser keeps choosing from srcset and <source> over src
+        this.closest('picture')?.querySelectorAll('source').forEach(source => source.remove());
+        this.removeAttribute('srcset');
+        this.removeAttribute('sizes');
         this.src = 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iMjAwIiBoZWlnaHQ9IjIwMCIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj48cmVjdCB3aWR0aD0iMTAwJSIgaGVpZ2h0PSIxMDAlIiBmaWxsPSIjZjFmNWY5Ii8+PHRleHQgeD0iNTAlIiB5PSI1MCUiIGZvbnQtc2l6ZT0iMTQiIGZpbGw9IiM2YzcyODAiIGR5PSIuM2VtIiB0ZXh0LWFuY2hvcj0ibWlkZGxlIj5JbWFnZSBub3QgYXZhaWxhYmxlPC90ZXh0Pjwvc3ZnPg==';
-        this.alt = 'Image not available';
+        this.alt = config.messages.imageUnavailable;
       });
 
+      // Generated variants fade in over their blurred placeholder
+      if (img.classList.contains('blur-up')) {
+        const reveal = () => {
+          img.classList.add('is-loaded');
+          img.closest('.has-placeholder')?.classList.add('is-loaded');
+        };
+
+        if (img.complete && img.naturalWidth) {
+          reveal();
+        } else {
+          img.addEventListener('load', reveal, { once: true });
+        }
+        return;
+      }
+
       // Add loading state
       if (!img.complete) {
         img.style.opacity = '0';
@@ -832,11 +6923,18 @@ const Utils = {
 class PortfolioApp {
   constructor() {
     this.components = {};
-    this.init();
+    this.ready = this.init();
   }
 
-  init() {
+  async init() {
     try {
+      // Strings must be in place before anything renders
+      await i18n.init();
+      analytics.track('page_view', { language: i18n.language });
+
+      // Buffered entries cover what happened before this point
+      this.components.performance = new PerformanceMonitor();
+
       // Initialize utilities
       Utils.setCurrentYear();
       Utils.setActiveNavLink();
@@ -844,36 +6942,44 @@ class PortfolioApp {
       Utils.optimizeImages();
 
       // Initialize components
+      this.components.i18n = i18n;
+      this.components.theme = new ThemeManager();
       this.components.sidebar = new SidebarManager();
-      this.components.carousel = new TestimonialCarousel();
+      this.components.carousels = Array.from(document.querySelectorAll('.testimonial-carousel'))
+        .map(root => new TestimonialCarousel(root));
       this.components.modal = new ImageModal();
-      this.components.contactForm = new ContactForm();
-      this.components.animations = new AnimationManager();
-      this.components.tabs = new TabManager();
+      this.components.serviceWorker = new ServiceWorkerManager();
+      this.components.outbox = new ContactOutbox();
+      this.components.contactForm = new ContactForm(this.components.outbox);
+      this.components.testimonialForm = new ContactForm(null, document.getElementById('testimonialForm'), config.testimonials);
+      this.components.moderation = new TestimonialModeration();
+      this.components.analyticsReport = new AnalyticsReport();
+      this.components.resume = new ResumeExporter();
+      this.components.contactCard = new ContactCard();
+
+      // These bind to portfolio cards, which are rendered from the manifest
+      this.components.portfolio = new PortfolioRenderer();
+      this.components.portfolio.ready.then(() => {
+        this.components.videoPosters = new VideoPosters();
+        this.components.animations = new AnimationManager();
+        this.components.tabs = new TabManager();
+        this.components.filter = new PortfolioFilter();
+      }).catch(error => {
+        console.error('Failed to initialize portfolio components:', error);
+        errorReporter.capture(error, { category: 'caught' });
+      });
+
+      // Any other form opts in to validation with data-validate
+      this.components.validators = Array.from(document.querySelectorAll('form[data-validate]'))
+        .filter(form => form !== this.components.contactForm.form)
+        .map(form => new FormValidator(form, { handleSubmit: true }));
 
-      // Performance monitoring
-      this.setupPerformanceMonitoring();
-      
       console.log('Portfolio app initialized successfully');
     } catch (error) {
       console.error('Failed to initialize portfolio app:', error);
+      errorReporter.capture(error, { category: 'caught', component: 'PortfolioApp' });
     }
   }
-
-  setupPerformanceMonitoring() {
-    // Log performance metrics in development
-    if (process.env.NODE_ENV === 'development') {
-      window.addEventListener('load', () => {
-        const loadTime = performance.timing.loadEventEnd - performance.timing.navigationStart;
-        console.log(`Page load time: ${loadTime}ms`);
-      });
-    }
-
-    // Report errors to console
-    window.addEventListener('error', (e) => {
-      console.error('JavaScript Error:', e.error);
-    });
-  }
 }
 
 // Initialize application when DOM is ready
@@ -887,10 +6993,6 @@ if (document.readyState === 'loading') {
 
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
-  if (state.carouselInterval) {
-    clearInterval(state.carouselInterval);
-  }
-  
   if (state.resizeTimeout) {
     clearTimeout(state.resizeTimeout);
   }
@@ -901,12 +7003,42 @@ if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     PortfolioApp,
     Toast,
+    I18n,
+    ErrorReporter,
+    Analytics,
+    AnalyticsSinks,
+    AnalyticsReport,
+    ThemeManager,
     SidebarManager,
     TestimonialCarousel,
     ImageModal,
+    ImageZoom,
+    PdfViewer,
+    VideoPlayer,
+    VideoPosters,
+    ResponsiveImages,
+    PortfolioRenderer,
+    PortfolioFilter,
     ContactForm,
+    TestimonialModeration,
+    Microdata,
+    ResumeExporter,
+    QrCode,
+    ContactCard,
+    ContactTransport,
+    ContactOutbox,
+    ServiceWorkerManager,
+    IdbStore,
+    SpamGuard,
+    SpamRules,
+    FormValidator,
+    FormDraft,
+    ValidationRules,
+    AsyncValidators,
+    SubmissionError,
     AnimationManager,
     TabManager,
+    PerformanceMonitor,
     Utils
   };
 }
\ No newline at end of file
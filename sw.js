@@ -0,0 +1,310 @@
+// sw.js - Service worker
+'use strict';
+
+// Must match config.outbox in script.js
+const OUTBOX = {
+  dbName: 'portfolio-outbox',
+  storeName: 'messages',
+  syncTag: 'contact-outbox'
+};
+
+// Bump on every deploy: a changed sw.js is what makes browsers fetch the new
+// precache and show the "update available" toast
+const VERSION = 'v2';
+
+const CACHES = {
+  precache: `precache-${VERSION}`,
+  assets: `assets-${VERSION}`,
+  media: `media-${VERSION}`
+};
+
+const OFFLINE_PAGE = 'offline.html';
+
+const PRECACHE = [
+  './',
+  'index.html',
+  'experience.html',
+  'skills.html',
+  'education.html',
+  'portfolio.html',
+  'testimonials.html',
+  'contactme.html',
+  OFFLINE_PAGE,
+  'style.css',
+  'responsive.css',
+  'script.js',
+  'manifest.webmanifest',
+  'images/Asif.jpg',
+  'images/icon.svg',
+  'vendor/fontawesome/css/all.min.css',
+  'vendor/fontawesome/webfonts/fa-brands-400.woff2',
+  'vendor/fontawesome/webfonts/fa-regular-400.woff2',
+  'vendor/fontawesome/webfonts/fa-solid-900.woff2',
+  'vendor/fontawesome/webfonts/fa-v4compatibility.woff2',
+  'data/portfolio.json',
+  'data/i18n/ur.json'
+];
+
+// Runtime caches are trimmed oldest-first once either limit is passed
+const LIMITS = {
+  [CACHES.assets]: { maxEntries: 60, maxBytes: 10 * 1024 * 1024 },
+  [CACHES.media]: { maxEntries: 80, maxBytes: 50 * 1024 * 1024 }
+};
+
+const NAVIGATION_TIMEOUT = 3000;
+
+/**
+ * Precache and updates
+ */
+self.addEventListener('install', (event) => {
+  // No skipWaiting here: the page asks first, see 'skip-waiting' below
+  event.waitUntil(
+    caches.open(CACHES.precache).then(cache => cache.addAll(PRECACHE.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const current = new Set(Object.values(CACHES));
+    const names = await caches.keys();
+
+    await Promise.all(names.filter(name => !current.has(name)).map(name => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', (event) => {
+  if (event.data?.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * Runtime caching
+ */
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  const url = new URL(request.url);
+
+  // API calls, cross-origin requests and video range requests go straight to the network
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return;
+  if (url.pathname.includes('/api/') || request.headers.has('range')) return;
+
+  if (request.mode === 'navigate') {
+    event.respondWith(handleNavigation(event));
+  } else if (isMedia(url)) {
+    event.respondWith(cacheFirst(request, CACHES.media));
+  } else {
+    event.respondWith(staleWhileRevalidate(event, CACHES.assets));
+  }
+});
+
+function isMedia(url) {
+  return /\/(portfolio|images)\//.test(url.pathname) && !/\.(mp4|webm|ogv|mov)$/i.test(url.pathname);
+}
+
+// Network first so content stays current, with a timeout so a bad connection
+// does not leave a client staring at a blank page
+async function handleNavigation(event) {
+  const cache = await caches.open(CACHES.precache);
+
+  try {
+    const response = await withTimeout(fetch(event.request), NAVIGATION_TIMEOUT);
+    if (response.ok) {
+      // One entry per page, whatever the filter query string
+      const key = new URL(event.request.url);
+      key.search = '';
+      event.waitUntil(cache.put(key.href, response.clone()));
+    }
+    return response;
+  } catch (error) {
+    return (await caches.match(event.request, { ignoreSearch: true }))
+      || (await cache.match(OFFLINE_PAGE))
+      || Response.error();
+  }
+}
+
+function withTimeout(promise, timeout) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('Network timeout')), timeout);
+    promise.then(resolve, reject).finally(() => clearTimeout(timer));
+  });
+}
+
+async function cacheFirst(request, cacheName) {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok && response.status === 200) {
+    const cache = await caches.open(cacheName);
+    await cache.put(request, response.clone());
+    trimCache(cacheName);
+  }
+  return response;
+}
+
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cached = await caches.match(request);
+
+  const update = fetch(request).then(async response => {
+    if (response.ok && response.status === 200) {
+      // Precached files are refreshed in place; everything else is runtime cached
+      const precache = await caches.open(CACHES.precache);
+      const target = (await precache.match(request)) ? precache : await caches.open(cacheName);
+
+      await target.put(request, response.clone());
+      if (target !== precache) trimCache(cacheName);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(update.catch(() => {}));
+    return cached;
+  }
+
+  return update;
+}
+
+// Content-Length is enough for a budget; opaque or chunked responses count as 0
+async function trimCache(cacheName) {
+  const limits = LIMITS[cacheName];
+  if (!limits) return;
+
+  const cache = await caches.open(cacheName);
+  const keys = await cache.keys();
+  const sizes = await Promise.all(keys.map(async key => {
+    const response = await cache.match(key);
+    return Number(response?.headers.get('content-length')) || 0;
+  }));
+
+  let total = sizes.reduce((sum, size) => sum + size, 0);
+  let count = keys.length;
+
+  for (let i = 0; i < keys.length && (count > limits.maxEntries || total > limits.maxBytes); i++) {
+    await cache.delete(keys[i]);
+    total -= sizes[i];
+    count--;
+  }
+}
+
+/**
+ * Contact outbox background sync
+ */
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX.syncTag) {
+    event.waitUntil(flushOutbox());
+  }
+});
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function openOutbox() {
+  const request = indexedDB.open(OUTBOX.dbName, 1);
+  request.onupgradeneeded = () => {
+    request.result.createObjectStore(OUTBOX.storeName, { keyPath: 'id', autoIncrement: true });
+  };
+  return promisify(request);
+}
+
+function withStore(db, mode, callback) {
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(OUTBOX.storeName, mode);
+    let result;
+
+    Promise.resolve(callback(tx.objectStore(OUTBOX.storeName))).then(value => {
+      result = value;
+    }, reject);
+
+    tx.oncomplete = () => resolve(result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+// Same claim as ContactOutbox.deliver, so a page and the worker never both send an entry
+function claim(db, id) {
+  const now = Date.now();
+
+  return withStore(db, 'readwrite', async store => {
+    const entry = await promisify(store.get(id));
+    if (!entry || entry.lockedUntil > now) return null;
+
+    const claimed = { ...entry, lockedUntil: now + entry.timeout * 2 };
+    store.put(claimed);
+    return claimed;
+  });
+}
+
+function buildRequest(entry) {
+  if (entry.transport === 'form') {
+    return {
+      method: 'POST',
+      headers: { Accept: 'application/json' },
+      body: new URLSearchParams(entry.payload)
+    };
+  }
+
+  return {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json'
+    },
+    body: JSON.stringify(entry.payload)
+  };
+}
+
+async function send(entry) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), entry.timeout);
+
+  try {
+    const response = await fetch(entry.endpoint, { ...buildRequest(entry), signal: controller.signal });
+    if (response.ok) return 'sent';
+    return response.status >= 500 ? 'failed' : 'rejected';
+  } catch (error) {
+    return 'failed';
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function flushOutbox() {
+  const db = await openOutbox();
+  const entries = await withStore(db, 'readonly', store => promisify(store.getAll()));
+  const counts = { sent: 0, rejected: 0, failed: 0 };
+
+  for (const entry of entries) {
+    const claimed = await claim(db, entry.id);
+    if (!claimed) continue;
+
+    const result = await send(claimed);
+    counts[result]++;
+
+    if (result === 'failed') {
+      await withStore(db, 'readwrite', store => store.put({
+        ...claimed,
+        attempts: claimed.attempts + 1,
+        lockedUntil: 0
+      }));
+    } else {
+      await withStore(db, 'readwrite', store => store.delete(claimed.id));
+    }
+  }
+
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach(client => client.postMessage({ type: 'outbox', ...counts }));
+
+  // Rejecting lets the browser schedule another sync with its own backoff
+  if (counts.failed) {
+    throw new Error(`${counts.failed} queued message(s) could not be sent`);
+  }
+}
@@ -0,0 +1,233 @@
+#!/usr/bin/env node
+// tools/build-images.js - Responsive variants and blur placeholders for site images
+//
+// Resizes every JPEG/PNG/WebP under portfolio/ and images/ to a set of widths
+// in WebP and JPEG, writes them to images/generated/ (mirroring the source
+// path) and records them in data/images.json together with a tiny inline
+// placeholder. script.js reads that file to build srcset/sizes for the
+// portfolio cards and to pick a variant for the lightbox. Static <img> tags
+// in the HTML pages get a srcset written in place.
+//
+// Needs sharp, which is not vendored:
+//
+//   npm install --no-save sharp
+//   node tools/build-images.js [--force]
+//
+// Unchanged sources are skipped unless --force is given.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE_DIRS = ['portfolio', 'images'];
+const OUTPUT_DIR = 'images/generated';
+const MANIFEST = 'data/images.json';
+
+const WIDTHS = [160, 320, 640, 960, 1280, 1920];
+const QUALITY = { webp: 72, jpeg: 78 };
+const PLACEHOLDER_WIDTH = 16;
+const SOURCE_PATTERN = /\.(jpe?g|png|webp)$/i;
+
+function loadSharp() {
+  try {
+    return require('sharp');
+  } catch (error) {
+    console.error('[images] sharp is not installed. Run "npm install --no-save sharp" and try again.');
+    return null;
+  }
+}
+
+function listSources(directory) {
+  const absolute = path.join(ROOT, directory);
+  if (!fs.existsSync(absolute)) return [];
+
+  return fs.readdirSync(absolute, { withFileTypes: true }).flatMap(entry => {
+    const relative = path.posix.join(directory, entry.name);
+    if (relative === OUTPUT_DIR) return [];
+    if (entry.isDirectory()) return listSources(relative);
+    return SOURCE_PATTERN.test(entry.name) ? [relative] : [];
+  }).sort();
+}
+
+function readManifest() {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(ROOT, MANIFEST), 'utf8')).images || {};
+  } catch (error) {
+    return {};
+  }
+}
+
+// "portfolio/Logo/60 Years.jpg", 640, "webp" -> "images/generated/portfolio/Logo/60 Years-640.webp"
+function outputPath(source, width, format) {
+  const parsed = path.posix.parse(source);
+  return path.posix.join(OUTPUT_DIR, parsed.dir, `${parsed.name}-${width}.${format === 'jpeg' ? 'jpg' : format}`);
+}
+
+// Never upscale: widths below the source, plus the source width capped at the largest
+function variantWidths(width) {
+  const max = WIDTHS[WIDTHS.length - 1];
+  return Array.from(new Set([...WIDTHS.filter(w => w < width), Math.min(width, max)]));
+}
+
+function isFresh(entry, source) {
+  if (!entry?.variants?.length) return false;
+
+  const sourceTime = fs.statSync(path.join(ROOT, source)).mtimeMs;
+  return entry.variants.every(variant => ['webp', 'jpeg'].every(format => {
+    const file = path.join(ROOT, variant[format]);
+    return fs.existsSync(file) && fs.statSync(file).mtimeMs >= sourceTime;
+  }));
+}
+
+async function buildImage(sharp, source) {
+  const input = path.join(ROOT, source);
+  const metadata = await sharp(input).metadata();
+
+  // EXIF orientations 5-8 are rotated by 90 degrees
+  const rotated = metadata.orientation >= 5;
+  const width = rotated ? metadata.height : metadata.width;
+  const height = rotated ? metadata.width : metadata.height;
+
+  const variants = [];
+
+  for (const variantWidth of variantWidths(width)) {
+    const variant = { width: variantWidth };
+
+    for (const format of ['webp', 'jpeg']) {
+      const output = outputPath(source, variantWidth, format);
+      fs.mkdirSync(path.dirname(path.join(ROOT, output)), { recursive: true });
+
+      let pipeline = sharp(input).rotate().resize({ width: variantWidth, withoutEnlargement: true });
+      // JPEG has no alpha channel; logos with transparency go on white
+      if (format === 'jpeg') pipeline = pipeline.flatten({ background: '#ffffff' });
+
+      await pipeline[format]({ quality: QUALITY[format], mozjpeg: format === 'jpeg' }).toFile(path.join(ROOT, output));
+      variant[format] = output;
+    }
+
+    variants.push(variant);
+  }
+
+  const placeholder = await sharp(input)
+    .rotate()
+    .resize({ width: PLACEHOLDER_WIDTH })
+    .webp({ quality: 40 })
+    .toBuffer();
+
+  return {
+    width,
+    height,
+    placeholder: `data:image/webp;base64,${placeholder.toString('base64')}`,
+    variants
+  };
+}
+
+// Drop files in images/generated/ that no manifest entry points at any more
+function prune(images) {
+  const keep = new Set(Object.values(images).flatMap(entry => (
+    entry.variants.flatMap(variant => [variant.webp, variant.jpeg])
+  )));
+
+  const walk = directory => {
+    const absolute = path.join(ROOT, directory);
+    if (!fs.existsSync(absolute)) return 0;
+
+    return fs.readdirSync(absolute, { withFileTypes: true }).reduce((removed, entry) => {
+      const relative = path.posix.join(directory, entry.name);
+      if (entry.isDirectory()) return removed + walk(relative);
+      if (keep.has(relative)) return removed;
+
+      fs.unlinkSync(path.join(ROOT, relative));
+      return removed + 1;
+    }, 0);
+  };
+
+  return walk(OUTPUT_DIR);
+}
+
+function srcsetFor(entry, format) {
+  return entry.variants.map(variant => `${encodeURI(variant[format])} ${variant.width}w`).join(', ');
+}
+
+// Adds srcset (and sizes, from the width attribute) to <img> tags that show a processed image
+function rewriteHtml(images) {
+  const pages = fs.readdirSync(ROOT).filter(name => name.endsWith('.html'));
+  let changed = 0;
+
+  pages.forEach(page => {
+    const file = path.join(ROOT, page);
+    const html = fs.readFileSync(file, 'utf8');
+
+    const updated = html.replace(/<img\b[^>]*>/g, tag => {
+      const src = tag.match(/\ssrc="([^"]*)"/)?.[1];
+      const entry = src && images[decodeURI(src)];
+      if (!entry) return tag;
+
+      let result = tag.replace(/\s(?:srcset|sizes)="[^"]*"/g, '');
+      const width = tag.match(/\swidth="(\d+)"/)?.[1];
+      const sizes = tag.match(/\ssizes="([^"]*)"/)?.[1] || (width ? `${width}px` : '100vw');
+
+      result = result.replace(/\ssrc="[^"]*"/, match => `${match} srcset="${srcsetFor(entry, 'jpeg')}" sizes="${sizes}"`);
+      return result;
+    });
+
+    if (updated !== html) {
+      fs.writeFileSync(file, updated);
+      changed++;
+    }
+  });
+
+  return changed;
+}
+
+async function main(argv) {
+  const sharp = loadSharp();
+  if (!sharp) return 1;
+
+  const force = argv.includes('--force');
+  const previous = readManifest();
+  const images = {};
+  const counts = { built: 0, skipped: 0, failed: 0 };
+
+  // One at a time: large scans can take a lot of memory each
+  for (const source of SOURCE_DIRS.flatMap(listSources)) {
+    if (!force && isFresh(previous[source], source)) {
+      images[source] = previous[source];
+      counts.skipped++;
+      continue;
+    }
+
+    try {
+      images[source] = await buildImage(sharp, source);
+      counts.built++;
+      console.log(`[images] ${source} -> ${images[source].variants.length} widths`);
+    } catch (error) {
+      counts.failed++;
+      console.error(`[images] ${source}: ${error.message}`);
+
+      // Keep last run's variants: a transient failure should not break working srcsets
+      if (previous[source]) images[source] = previous[source];
+    }
+  }
+
+  fs.writeFileSync(path.join(ROOT, MANIFEST), `${JSON.stringify({ version: 1, images }, null, 2)}\n`);
+
+  // Partly written variants of a failed image would look stale; tidy up on a clean run
+  const removed = counts.failed ? 0 : prune(images);
+  const pages = rewriteHtml(images);
+
+  console.log(`[images] ${counts.built} built, ${counts.skipped} unchanged, ${counts.failed} failed, ${removed} stale files removed, ${pages} pages updated`);
+  return counts.failed ? 1 : 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2)).then(code => {
+    process.exitCode = code;
+  }, error => {
+    console.error(error);
+    process.exitCode = 1;
+  });
+}
+
+module.exports = { outputPath, variantWidths, srcsetFor };
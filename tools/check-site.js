@@ -0,0 +1,346 @@
+#!/usr/bin/env node
+// tools/check-site.js - Offline integrity check for asset and link references
+//
+// Parses every HTML page in the repository root and resolves each src, href,
+// srcset, data-image and preload reference against the tree, case-sensitively,
+// so a "Portfolio/" that works on a laptop but not on the server is caught.
+// Also checks the portfolio manifest, #fragment targets and sidebar .nav-link
+// targets, and lists files under portfolio/ that nothing references.
+// External links are reported, never fetched.
+//
+//   node tools/check-site.js [--strict] [--json]
+//
+// Exits 1 when a reference is broken, or with --strict when files are orphaned.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const MANIFEST = 'data/portfolio.json';
+const IMAGE_MANIFEST = 'data/images.json';
+const ORPHAN_DIRS = ['portfolio'];
+
+const URL_ATTRIBUTES = ['src', 'href', 'data-image', 'data-manifest', 'poster', 'action'];
+const SRCSET_ATTRIBUTES = ['srcset', 'imagesrcset'];
+const EXTERNAL_PATTERN = /^(?:[a-z][a-z\d+.-]*:|\/\/)/i;
+const IGNORED_SCHEMES = /^(?:mailto|tel|data|javascript|blob|sms):/i;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+
+function decodeEntities(value) {
+  return value.replace(/&(amp|lt|gt|quot|apos|#39);/g, (match, name) => ENTITIES[name]);
+}
+
+/**
+ * Minimal tag scanner: enough to read attributes, not a full HTML parser
+ */
+function parseTags(html) {
+  const tags = [];
+  const source = html.replace(/<!--[\s\S]*?-->/g, match => match.replace(/[^\n]/g, ' '));
+  const tagPattern = /<([a-z][a-z\d-]*)\b([^>]*)>/gi;
+  const attributePattern = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g;
+  let match;
+
+  while ((match = tagPattern.exec(source))) {
+    const attributes = {};
+    let attribute;
+
+    while ((attribute = attributePattern.exec(match[2]))) {
+      const value = attribute[2] ?? attribute[3] ?? attribute[4] ?? '';
+      attributes[attribute[1].toLowerCase()] = decodeEntities(value);
+    }
+
+    tags.push({
+      name: match[1].toLowerCase(),
+      attributes,
+      line: source.slice(0, match.index).split('\n').length
+    });
+  }
+
+  return tags;
+}
+
+// Checks every path segment against the real directory listing, so the
+// result does not depend on whether the local filesystem ignores case
+function existsExactly(relativePath) {
+  const segments = relativePath.split('/').filter(Boolean);
+  let current = ROOT;
+
+  for (const segment of segments) {
+    let entries;
+    try {
+      entries = fs.readdirSync(current);
+    } catch (error) {
+      return { exists: false };
+    }
+
+    if (!entries.includes(segment)) {
+      const fold = entries.find(entry => entry.toLowerCase() === segment.toLowerCase());
+      return { exists: false, suggestion: fold ? path.posix.join(path.relative(ROOT, current), fold) : null };
+    }
+
+    current = path.join(current, segment);
+  }
+
+  return { exists: true };
+}
+
+function classify(reference) {
+  if (!reference || reference.startsWith('#')) return 'fragment';
+  if (IGNORED_SCHEMES.test(reference)) return 'ignored';
+  if (EXTERNAL_PATTERN.test(reference)) return 'external';
+  return 'local';
+}
+
+// "portfolio/A%20B.jpg?v=2#x" -> { file: "portfolio/A B.jpg", fragment: "x" }
+function resolveLocal(reference, fromFile) {
+  const [withoutHash, fragment = ''] = reference.split('#');
+  const pathname = withoutHash.split('?')[0];
+
+  let decoded;
+  try {
+    decoded = decodeURI(pathname);
+  } catch (error) {
+    decoded = pathname;
+  }
+
+  const base = path.posix.dirname(fromFile);
+  const file = decoded.startsWith('/')
+    ? decoded.slice(1)
+    : path.posix.normalize(path.posix.join(base, decoded));
+
+  return { file: file.replace(/\/$/, '') || '.', fragment };
+}
+
+function srcsetUrls(value) {
+  return value.split(',').map(candidate => candidate.trim().split(/\s+/)[0]).filter(Boolean);
+}
+
+function collectPageReferences(page, tags) {
+  const references = [];
+
+  tags.forEach(tag => {
+    URL_ATTRIBUTES.forEach(attribute => {
+      if (tag.attributes[attribute] === undefined) return;
+
+      // <a href> may point at pages and fragments; everything else is an asset
+      references.push({
+        source: page,
+        line: tag.line,
+        attribute,
+        value: tag.attributes[attribute].trim(),
+        navLink: /\bnav-link\b/.test(tag.attributes.class || '')
+      });
+    });
+
+    SRCSET_ATTRIBUTES.forEach(attribute => {
+      if (!tag.attributes[attribute]) return;
+
+      srcsetUrls(tag.attributes[attribute]).forEach(value => {
+        references.push({ source: page, line: tag.line, attribute, value });
+      });
+    });
+  });
+
+  return references;
+}
+
+// Manifest paths are relative to the page that renders them, not to data/
+function collectManifestReferences() {
+  const references = [];
+  if (!existsExactly(MANIFEST).exists) return references;
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(ROOT, MANIFEST), 'utf8'));
+  } catch (error) {
+    return [{ source: MANIFEST, line: 0, attribute: 'json', value: '', error: `invalid JSON: ${error.message}` }];
+  }
+
+  (manifest.items || []).forEach((item, index) => {
+    ['file', 'preview'].forEach(field => {
+      if (item[field]) {
+        references.push({ source: MANIFEST, base: 'portfolio.html', line: `items[${index}]`, attribute: field, value: item[field] });
+      }
+    });
+
+    // data-captions="en:path.vtt, ur:path.vtt"
+    (item.captions || '').split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      references.push({
+        source: MANIFEST,
+        base: 'portfolio.html',
+        line: `items[${index}]`,
+        attribute: 'captions',
+        value: entry.split(':').slice(1).join(':')
+      });
+    });
+  });
+
+  return references;
+}
+
+// Variants written by tools/build-images.js, when it has been run
+function collectImageReferences() {
+  if (!existsExactly(IMAGE_MANIFEST).exists) return [];
+
+  let manifest;
+  try {
+    manifest = JSON.parse(fs.readFileSync(path.join(ROOT, IMAGE_MANIFEST), 'utf8'));
+  } catch (error) {
+    return [{ source: IMAGE_MANIFEST, line: 0, attribute: 'json', value: '', error: `invalid JSON: ${error.message}` }];
+  }
+
+  // Sources are not counted as used: every file under portfolio/ is in here
+  return Object.entries(manifest.images || {}).flatMap(([source, entry]) => (
+    (entry.variants || []).flatMap(variant => ['webp', 'jpeg'].map(format => ({
+      source: IMAGE_MANIFEST,
+      base: 'index.html',
+      line: source,
+      attribute: format,
+      value: encodeURI(variant[format])
+    })))
+  ));
+}
+
+function listFiles(directory) {
+  const absolute = path.join(ROOT, directory);
+  if (!fs.existsSync(absolute)) return [];
+
+  return fs.readdirSync(absolute, { withFileTypes: true }).flatMap(entry => {
+    const relative = path.posix.join(directory, entry.name);
+    return entry.isDirectory() ? listFiles(relative) : [relative];
+  });
+}
+
+function check() {
+  const pages = fs.readdirSync(ROOT).filter(name => name.endsWith('.html')).sort();
+  const ids = new Map();
+  const tagsByPage = new Map();
+
+  pages.forEach(page => {
+    const tags = parseTags(fs.readFileSync(path.join(ROOT, page), 'utf8'));
+    tagsByPage.set(page, tags);
+    ids.set(page, new Set(tags.map(tag => tag.attributes.id).filter(Boolean)));
+  });
+
+  const references = [
+    ...pages.flatMap(page => collectPageReferences(page, tagsByPage.get(page))),
+    ...collectManifestReferences(),
+    ...collectImageReferences()
+  ];
+
+  const report = {
+    pages,
+    // data/images.json only exists once tools/build-images.js has been run
+    manifests: existsExactly(IMAGE_MANIFEST).exists ? [MANIFEST, IMAGE_MANIFEST] : [MANIFEST],
+    broken: [],
+    external: new Map(),
+    orphans: [],
+    checked: 0
+  };
+  const used = new Set();
+
+  references.forEach(reference => {
+    if (reference.error) {
+      report.broken.push({ ...reference, problem: reference.error });
+      return;
+    }
+
+    const kind = classify(reference.value);
+    report.checked++;
+
+    if (kind === 'ignored') return;
+
+    if (kind === 'external') {
+      const sources = report.external.get(reference.value) || new Set();
+      sources.add(reference.source);
+      report.external.set(reference.value, sources);
+      return;
+    }
+
+    const { file, fragment } = kind === 'fragment'
+      ? { file: reference.source, fragment: reference.value.slice(1) }
+      : resolveLocal(reference.value, reference.base || reference.source);
+
+    if (kind === 'local') {
+      const result = existsExactly(file);
+      used.add(file);
+
+      if (!result.exists) {
+        report.broken.push({
+          ...reference,
+          problem: reference.navLink ? 'navigation target does not exist' : 'file not found',
+          suggestion: result.suggestion
+        });
+        return;
+      }
+    }
+
+    // Fragments are only checked on HTML pages we parsed
+    if (fragment && ids.has(file) && !ids.get(file).has(decodeURIComponent(fragment))) {
+      report.broken.push({ ...reference, problem: `no element with id="${fragment}" in ${file}` });
+    }
+  });
+
+  ORPHAN_DIRS.forEach(directory => {
+    listFiles(directory).forEach(file => {
+      if (!used.has(file)) report.orphans.push(file);
+    });
+  });
+
+  return report;
+}
+
+function printReport(report) {
+  const lines = [];
+
+  const sources = [`${report.pages.length} pages`, ...report.manifests];
+  lines.push(`Checked ${report.checked} references in ${sources.slice(0, -1).join(', ')} and ${sources[sources.length - 1]}`);
+  lines.push('');
+
+  if (report.broken.length) {
+    lines.push(`Broken references (${report.broken.length}):`);
+    report.broken.forEach(item => {
+      lines.push(`  ${item.source}:${item.line}  ${item.attribute}="${item.value}"`);
+      lines.push(`    ${item.problem}${item.suggestion ? ` (did you mean "${item.suggestion}"?)` : ''}`);
+    });
+    lines.push('');
+  }
+
+  if (report.orphans.length) {
+    lines.push(`Unreferenced files under ${ORPHAN_DIRS.join(', ')}/ (${report.orphans.length}):`);
+    report.orphans.forEach(file => lines.push(`  ${file}`));
+    lines.push('');
+  }
+
+  if (report.external.size) {
+    lines.push(`External links, not fetched (${report.external.size}):`);
+    Array.from(report.external).sort().forEach(([url, sources]) => {
+      lines.push(`  ${url}  [${Array.from(sources).join(', ')}]`);
+    });
+    lines.push('');
+  }
+
+  lines.push(report.broken.length ? 'FAIL' : 'OK');
+  console.log(lines.join('\n'));
+}
+
+if (require.main === module) {
+  const argv = process.argv.slice(2);
+  const report = check();
+
+  if (argv.includes('--json')) {
+    console.log(JSON.stringify({
+      ...report,
+      external: Object.fromEntries(Array.from(report.external, ([url, sources]) => [url, Array.from(sources)]))
+    }, null, 2));
+  } else {
+    printReport(report);
+  }
+
+  const failed = report.broken.length || (argv.includes('--strict') && report.orphans.length);
+  process.exitCode = failed ? 1 : 0;
+}
+
+module.exports = { check, parseTags, existsExactly, resolveLocal };
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+// tools/dev-server.js - Local stand-in backend for offline development
+//
+// Serves the site from the repository root and answers the API endpoints
+// that script.js talks to, storing everything under tools/.data/.
+//
+//   node tools/dev-server.js [--port 8080]
+//
+// Set MODERATION_PASSWORD to use moderate.html (see routes/testimonials.js).
+// Set CORS_ORIGINS (comma-separated) to call the API from another origin.
+// Analytics events are counted on analytics.html once config.analytics sends
+// them to /api/analytics (see routes/analytics.js).
+// Web Vitals beacons go to /api/vitals once config.performance.endpoint is set.
+// Client-side errors are listed at /api/errors once config.errors.endpoint is set
+// (see routes/errors.js).
+'use strict';
+
+const http = require('http');
+const path = require('path');
+const { HttpError, applyCors, sendJson, serveStatic } = require('./lib/http');
+const analytics = require('./routes/analytics');
+const contact = require('./routes/contact');
+const errors = require('./routes/errors');
+const testimonials = require('./routes/testimonials');
+const vitals = require('./routes/vitals');
+
+const ROOT = path.resolve(__dirname, '..');
+
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || '')
+  .split(',')
+  .map(origin => origin.trim())
+  .filter(Boolean);
+
+const routes = {
+  ...analytics.routes,
+  ...contact.routes,
+  ...errors.routes,
+  ...testimonials.routes,
+  ...vitals.routes
+};
+
+function parsePort(argv) {
+  const index = argv.indexOf('--port');
+  const value = index !== -1 ? argv[index + 1] : process.env.PORT;
+  return Number.parseInt(value, 10) || 8080;
+}
+
+async function handle(req, res) {
+  applyCors(req, res, CORS_ORIGINS);
+
+  if (req.method === 'OPTIONS') {
+    res.writeHead(204);
+    return res.end();
+  }
+
+  const { pathname } = new URL(req.url, 'http://localhost');
+  const route = routes[`${req.method} ${pathname}`];
+
+  if (route) {
+    return route(req, res);
+  }
+
+  if (pathname.startsWith('/api/')) {
+    throw new HttpError(404, 'Unknown endpoint');
+  }
+
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    throw new HttpError(405, 'Method not allowed');
+  }
+
+  serveStatic(req, res, ROOT);
+}
+
+const server = http.createServer((req, res) => {
+  handle(req, res).catch(error => {
+    const status = error instanceof HttpError ? error.status : 500;
+    if (status === 500) console.error(error);
+
+    sendJson(res, status, {
+      ok: false,
+      message: status === 500 ? 'Internal server error' : error.message,
+      ...(error.details || {})
+    });
+  });
+});
+
+if (require.main === module) {
+  const port = parsePort(process.argv.slice(2));
+  server.listen(port, () => {
+    console.log(`Dev server running at http://localhost:${port}/`);
+  });
+}
+
+module.exports = { server, routes };
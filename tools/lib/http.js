@@ -0,0 +1,154 @@
+// tools/lib/http.js - HTTP helpers for the local dev server
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+// Content types for the files this site ships
+const MIME_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.mjs': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.webmanifest': 'application/manifest+json',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.webp': 'image/webp',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.pdf': 'application/pdf',
+  '.mp4': 'video/mp4',
+  '.vtt': 'text/vtt; charset=utf-8',
+  '.vcf': 'text/vcard; charset=utf-8',
+  '.woff2': 'font/woff2'
+};
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Error with an HTTP status, thrown from route handlers
+ */
+class HttpError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'HttpError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Allow the site to be opened from the listed origins (another port, say),
+ * never from whatever page happens to ask
+ */
+function applyCors(req, res, origins = []) {
+  res.setHeader('Vary', 'Origin');
+  if (!origins.includes(req.headers.origin)) return;
+
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Accept, Authorization');
+}
+
+function sendJson(res, status, data) {
+  const body = JSON.stringify(data);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    'Cache-Control': 'no-store'
+  });
+  res.end(body);
+}
+
+/**
+ * Read and parse a request body (JSON or form-encoded)
+ */
+function readBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > limit) {
+        reject(new HttpError(413, 'Request body too large'));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+
+    req.on('end', () => {
+      const raw = Buffer.concat(chunks).toString('utf8');
+      const type = (req.headers['content-type'] || '').split(';')[0].trim();
+
+      if (!raw) return resolve({});
+
+      try {
+        if (type === 'application/x-www-form-urlencoded') {
+          resolve(Object.fromEntries(new URLSearchParams(raw)));
+        } else {
+          // sendBeacon posts JSON as text/plain, so anything else is tried as JSON
+          resolve(JSON.parse(raw));
+        }
+      } catch (error) {
+        reject(new HttpError(400, 'Malformed request body'));
+      }
+    });
+
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Serve a file from the site root, case-sensitively like a real web host
+ */
+function serveStatic(req, res, root) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+  let relative;
+
+  try {
+    relative = decodeURIComponent(pathname);
+  } catch (error) {
+    return sendText(res, 400, 'Bad request');
+  }
+
+  if (relative.endsWith('/')) relative += 'index.html';
+
+  const filePath = path.join(root, path.normalize(relative));
+  if (!filePath.startsWith(root + path.sep) || relative.split('/').some(part => part.startsWith('.') && part.length > 1)) {
+    return sendText(res, 403, 'Forbidden');
+  }
+
+  fs.stat(filePath, (error, stats) => {
+    if (error || !stats.isFile()) return sendText(res, 404, 'Not found');
+
+    const type = MIME_TYPES[path.extname(filePath).toLowerCase()] || 'application/octet-stream';
+    res.writeHead(200, {
+      'Content-Type': type,
+      'Content-Length': stats.size,
+      'Cache-Control': 'no-cache'
+    });
+
+    if (req.method === 'HEAD') return res.end();
+    fs.createReadStream(filePath).pipe(res);
+  });
+}
+
+function sendText(res, status, text) {
+  res.writeHead(status, { 'Content-Type': 'text/plain; charset=utf-8' });
+  res.end(text);
+}
+
+module.exports = {
+  HttpError,
+  MIME_TYPES,
+  applyCors,
+  readBody,
+  sendJson,
+  sendText,
+  serveStatic
+};
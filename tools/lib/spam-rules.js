@@ -0,0 +1,96 @@
+// tools/lib/spam-rules.js - Server-side copy of the SpamRules in script.js
+'use strict';
+
+const crypto = require('crypto');
+
+// Keep in step with config.spam.rules in script.js; rate limits are per IP here
+const DEFAULT_RULES = {
+  honeypot: { field: 'website' },
+  timeTrap: { minElapsed: 3000 },
+  rateLimit: { max: 3, window: 60 * 60 * 1000 },
+  links: { max: 2 },
+  repetition: { minWords: 12, minUniqueRatio: 0.3 },
+  duplicate: { window: 24 * 60 * 60 * 1000 }
+};
+
+const LINK_PATTERN = /(https?:\/\/|www\.)\S+/gi;
+
+function hash(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Each rule returns true when a submission looks automated
+ */
+const rules = {
+  honeypot(payload, options) {
+    return Boolean(payload[options.field]);
+  },
+
+  timeTrap(payload, options) {
+    return !(Number(payload._elapsed) >= options.minElapsed);
+  },
+
+  rateLimit(payload, options, history) {
+    const recent = history.sent.filter(time => Date.now() - time < options.window);
+    return recent.length >= options.max;
+  },
+
+  links(payload, options) {
+    const links = (payload.message || '').match(LINK_PATTERN) || [];
+    return links.length > options.max;
+  },
+
+  repetition(payload, options) {
+    const words = (payload.message || '').toLowerCase().split(/\s+/).filter(Boolean);
+    if (words.length < options.minWords) return false;
+
+    return new Set(words).size / words.length < options.minUniqueRatio;
+  },
+
+  duplicate(payload, options, history) {
+    const digest = hash(payload.message || '');
+    return history.messages.some(entry => entry.hash === digest && Date.now() - entry.time < options.window);
+  }
+};
+
+/**
+ * Runs the rules with an in-memory history per client IP
+ */
+class SpamFilter {
+  constructor(options = DEFAULT_RULES) {
+    this.options = options;
+    this.history = new Map();
+  }
+
+  historyFor(ip) {
+    if (!this.history.has(ip)) {
+      this.history.set(ip, { sent: [], messages: [] });
+    }
+    return this.history.get(ip);
+  }
+
+  // Returns the name of the first rule that tripped, or null
+  check(payload, ip) {
+    const history = this.historyFor(ip);
+    const tripped = Object.entries(this.options).find(([name, ruleOptions]) => (
+      Boolean(ruleOptions) && rules[name] && rules[name](payload, ruleOptions, history)
+    ));
+
+    return tripped ? tripped[0] : null;
+  }
+
+  record(payload, ip) {
+    const history = this.historyFor(ip);
+    const now = Date.now();
+
+    history.sent.push(now);
+    history.messages.push({ hash: hash(payload.message || ''), time: now });
+
+    const maxAge = Math.max(this.options.rateLimit?.window || 0, this.options.duplicate?.window || 0);
+    history.sent = history.sent.filter(time => now - time < maxAge);
+    history.messages = history.messages.filter(entry => now - entry.time < maxAge);
+  }
+}
+
+module.exports = { DEFAULT_RULES, SpamFilter, rules };
@@ -0,0 +1,77 @@
+// tools/lib/store.js - JSON Lines storage for the local dev server
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, '..', '.data');
+
+/**
+ * Append-only record store kept in one .jsonl file per collection
+ */
+class JsonlStore {
+  constructor(name, dir = DATA_DIR) {
+    this.file = path.join(dir, `${name}.jsonl`);
+    fs.mkdirSync(dir, { recursive: true });
+  }
+
+  list() {
+    if (!fs.existsSync(this.file)) return [];
+
+    return fs.readFileSync(this.file, 'utf8')
+      .split('\n')
+      .filter(Boolean)
+      .map(line => {
+        try {
+          return JSON.parse(line);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter(Boolean);
+  }
+
+  append(data) {
+    const record = {
+      id: crypto.randomUUID(),
+      receivedAt: new Date().toISOString(),
+      ...data
+    };
+
+    fs.appendFileSync(this.file, `${JSON.stringify(record)}\n`);
+    return record;
+  }
+
+  find(id) {
+    return this.list().find(record => record.id === id) || null;
+  }
+
+  update(id, patch) {
+    let updated = null;
+    const records = this.list().map(record => {
+      if (record.id !== id) return record;
+      updated = { ...record, ...patch, id, updatedAt: new Date().toISOString() };
+      return updated;
+    });
+
+    if (updated) this.write(records);
+    return updated;
+  }
+
+  remove(id) {
+    const records = this.list();
+    const remaining = records.filter(record => record.id !== id);
+    if (remaining.length === records.length) return false;
+
+    this.write(remaining);
+    return true;
+  }
+
+  write(records) {
+    const body = records.map(record => JSON.stringify(record)).join('\n');
+    fs.writeFileSync(this.file, body ? `${body}\n` : '');
+  }
+}
+
+module.exports = { JsonlStore, DATA_DIR };
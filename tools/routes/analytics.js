@@ -0,0 +1,124 @@
+// tools/routes/analytics.js - Stand-in collector for the endpoint analytics sink
+//
+// Stores the events script.js batches up and answers analytics.html with
+// counts. Only the event itself is kept: no IP address, user agent or
+// anything else that would tell visitors apart.
+'use strict';
+
+const { JsonlStore } = require('../lib/store');
+const { HttpError, readBody, sendJson } = require('../lib/http');
+
+const store = new JsonlStore('analytics');
+
+const MAX_EVENTS_PER_BATCH = 100;
+const MAX_PROPS = 10;
+const MAX_STRING_LENGTH = 200;
+const TOP_LIMIT = 20;
+
+const NAME_PATTERN = /^[a-z][a-z0-9_]{0,39}$/;
+
+// Strings, numbers and booleans only, all kept short
+function cleanProps(props) {
+  if (!props || typeof props !== 'object' || Array.isArray(props)) return {};
+
+  return Object.entries(props).slice(0, MAX_PROPS).reduce((clean, [key, value]) => {
+    if (!NAME_PATTERN.test(key)) return clean;
+
+    if (typeof value === 'string') {
+      clean[key] = value.slice(0, MAX_STRING_LENGTH);
+    } else if (typeof value === 'boolean' || Number.isFinite(value)) {
+      clean[key] = value;
+    }
+
+    return clean;
+  }, {});
+}
+
+// Returns null for anything that is not a well-formed event
+function cleanEvent(event) {
+  if (!event || typeof event !== 'object') return null;
+  if (typeof event.name !== 'string' || !NAME_PATTERN.test(event.name)) return null;
+  if (typeof event.page !== 'string' || !event.page.startsWith('/')) return null;
+
+  const time = new Date(event.time);
+
+  return {
+    name: event.name,
+    // Path only, in case a query string or fragment slipped through
+    page: event.page.split(/[?#]/)[0].slice(0, MAX_STRING_LENGTH),
+    time: Number.isNaN(time.getTime()) ? new Date().toISOString() : time.toISOString(),
+    props: cleanProps(event.props)
+  };
+}
+
+// [[key, count], ...] as [{ [label]: key, count }], most frequent first
+function top(counts, label, limit = TOP_LIMIT) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, limit)
+    .map(([key, count]) => ({ [label]: key, count }));
+}
+
+function count(map, key) {
+  map.set(key, (map.get(key) || 0) + 1);
+}
+
+/**
+ * Aggregate stored events, optionally only those from the last `days` days
+ */
+function buildReport(events, days) {
+  const since = days ? new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString() : null;
+  const recent = since ? events.filter(event => event.time >= since) : events;
+
+  const names = new Map();
+  const pages = new Map();
+  const items = new Map();
+  const tabs = new Map();
+  const forms = new Map();
+
+  recent.forEach(({ name, page, props }) => {
+    count(names, name);
+
+    if (name === 'page_view') count(pages, page);
+    if (name === 'item_view' && props.item) count(items, props.item);
+    if (name === 'tab_switch' && props.tab) count(tabs, props.subtab ? `${props.tab}/${props.subtab}` : props.tab);
+    if (name === 'form_submit') count(forms, `${props.form || 'form'}: ${props.outcome}`);
+  });
+
+  return {
+    total: recent.length,
+    since,
+    events: top(names, 'name', Infinity),
+    pages: top(pages, 'page'),
+    items: top(items, 'item'),
+    tabs: top(tabs, 'tab'),
+    forms: top(forms, 'outcome')
+  };
+}
+
+async function receive(req, res) {
+  const body = await readBody(req);
+
+  if (!Array.isArray(body.events)) {
+    throw new HttpError(400, 'Expected { events: [...] }');
+  }
+
+  const events = body.events.slice(0, MAX_EVENTS_PER_BATCH).map(cleanEvent).filter(Boolean);
+  events.forEach(event => store.append(event));
+
+  sendJson(res, 202, { ok: true, accepted: events.length });
+}
+
+// GET /api/analytics?days=30
+function report(req, res) {
+  const days = Number.parseInt(new URL(req.url, 'http://localhost').searchParams.get('days'), 10);
+  sendJson(res, 200, { ok: true, ...buildReport(store.list(), days > 0 ? days : null) });
+}
+
+module.exports = {
+  routes: {
+    'POST /api/analytics': receive,
+    'GET /api/analytics': report
+  },
+  buildReport
+};
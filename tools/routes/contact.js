@@ -0,0 +1,109 @@
+// tools/routes/contact.js - Stand-in receiver for the contact form
+//
+// Submissions hold visitors' names and emails, so there is no route to read
+// them back; they are kept in tools/.data/contact.jsonl.
+'use strict';
+
+const crypto = require('crypto');
+const { JsonlStore } = require('../lib/store');
+const { HttpError, readBody, sendJson } = require('../lib/http');
+const { DEFAULT_RULES, SpamFilter } = require('../lib/spam-rules');
+
+const store = new JsonlStore('contact');
+const spamStore = new JsonlStore('contact-spam');
+const spamFilter = new SpamFilter();
+
+const FIELD_LIMITS = {
+  name: 100,
+  email: 254,
+  phone: 30,
+  subject: 150,
+  message: 5000
+};
+
+const MIN_MESSAGE_LENGTH = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// E.164 or a Pakistani mobile number, as accepted by data-phone="e164 pk"
+const PHONE_PATTERN = /^(?:\+[1-9]\d{7,14}|(?:\+92|0092|92|0)3\d{9})$/;
+
+/**
+ * Server-side field checks, mirroring the attributes on #contactForm
+ */
+function validateContact(payload) {
+  const errors = {};
+
+  if (!payload.name) errors.name = 'This field is required';
+  if (!payload.message) errors.message = 'This field is required';
+
+  if (!payload.email) {
+    errors.email = 'This field is required';
+  } else if (!EMAIL_PATTERN.test(payload.email)) {
+    errors.email = 'Please enter a valid email address';
+  }
+
+  if (payload.message && payload.message.length < MIN_MESSAGE_LENGTH) {
+    errors.message = `Please enter at least ${MIN_MESSAGE_LENGTH} characters`;
+  }
+
+  if (payload.phone && !PHONE_PATTERN.test(payload.phone.replace(/[\s().-]/g, ''))) {
+    errors.phone = 'Please enter a valid phone number, e.g. +92 3XX XXXXXXX';
+  }
+
+  Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+    if (!errors[field] && payload[field] && payload[field].length > limit) {
+      errors[field] = `Please use at most ${limit} characters`;
+    }
+  });
+
+  return errors;
+}
+
+function normalize(body) {
+  return Object.keys(FIELD_LIMITS).reduce((payload, field) => {
+    payload[field] = typeof body[field] === 'string' ? body[field].trim() : '';
+    return payload;
+  }, {});
+}
+
+async function receive(req, res) {
+  const body = await readBody(req);
+  const payload = normalize(body);
+  const ip = req.socket.remoteAddress;
+
+  // Blocked submissions get the same answer as real ones
+  const rule = spamFilter.check({
+    ...payload,
+    [DEFAULT_RULES.honeypot.field]: body[DEFAULT_RULES.honeypot.field],
+    _elapsed: body._elapsed
+  }, ip);
+
+  if (rule) {
+    spamStore.append({ ...payload, rule, ip });
+    console.log(`[contact] blocked by ${rule} from ${ip}`);
+    return sendJson(res, 201, { ok: true, id: crypto.randomUUID() });
+  }
+
+  const errors = validateContact(payload);
+
+  if (Object.keys(errors).length) {
+    throw new HttpError(422, 'Please fix the errors in the form', { errors });
+  }
+
+  spamFilter.record(payload, ip);
+  const record = store.append({
+    ...payload,
+    userAgent: req.headers['user-agent'] || ''
+  });
+
+  console.log(`[contact] ${record.id} from ${payload.name} <${payload.email}>`);
+  sendJson(res, 201, { ok: true, id: record.id });
+}
+
+module.exports = {
+  routes: {
+    'POST /api/contact': receive
+  },
+  validateContact
+};
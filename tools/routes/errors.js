@@ -0,0 +1,104 @@
+// tools/routes/errors.js - Stand-in receiver for ErrorReporter
+//
+// Reports with the same fingerprint are folded into one record with a count,
+// so a broken image seen on every visit stays a single line.
+//
+//   GET /api/errors                  everything, most recently seen first
+//   GET /api/errors?category=asset   one category (error, rejection, asset, caught)
+'use strict';
+
+const { JsonlStore } = require('../lib/store');
+const { HttpError, readBody, sendJson } = require('../lib/http');
+
+const store = new JsonlStore('errors');
+
+const CATEGORIES = ['error', 'rejection', 'asset', 'caught'];
+const MAX_BREADCRUMBS = 30;
+
+function text(value, limit) {
+  return typeof value === 'string' ? value.slice(0, limit) : null;
+}
+
+function cleanBreadcrumbs(breadcrumbs) {
+  if (!Array.isArray(breadcrumbs)) return [];
+
+  return breadcrumbs.slice(-MAX_BREADCRUMBS).map(crumb => ({
+    type: text(crumb?.type, 20),
+    message: text(crumb?.message, 200),
+    time: text(crumb?.time, 30),
+    // Small data objects only, e.g. { tab: 'branding' }
+    ...(crumb?.data && JSON.stringify(crumb.data).length <= 500 ? { data: crumb.data } : {})
+  }));
+}
+
+function clean(body) {
+  if (!CATEGORIES.includes(body.category) || typeof body.fingerprint !== 'string') return null;
+
+  return {
+    fingerprint: body.fingerprint.slice(0, 40),
+    category: body.category,
+    name: text(body.name, 100),
+    message: text(body.message, 500) || 'Unknown error',
+    stack: text(body.stack, 4000),
+    component: text(body.component, 60),
+    source: body.source && typeof body.source === 'object' ? {
+      url: text(body.source.url, 500),
+      line: Number(body.source.line) || null,
+      column: Number(body.source.column) || null
+    } : null,
+    asset: body.asset && typeof body.asset === 'object' ? {
+      url: text(body.asset.url, 500),
+      tag: text(body.asset.tag, 20)
+    } : null,
+    page: text(body.page, 200),
+    userAgent: text(body.userAgent, 300),
+    language: text(body.language, 10),
+    time: text(body.time, 30),
+    breadcrumbs: cleanBreadcrumbs(body.breadcrumbs)
+  };
+}
+
+async function receive(req, res) {
+  const report = clean(await readBody(req));
+  if (!report) throw new HttpError(400, 'Expected an error report from ErrorReporter');
+
+  const existing = store.list().find(record => record.fingerprint === report.fingerprint);
+
+  if (existing) {
+    // Keep the first occurrence's details, but the latest context
+    store.update(existing.id, {
+      count: existing.count + 1,
+      lastSeen: new Date().toISOString(),
+      page: report.page,
+      userAgent: report.userAgent,
+      breadcrumbs: report.breadcrumbs
+    });
+  } else {
+    const now = new Date().toISOString();
+    store.append({ ...report, count: 1, firstSeen: now, lastSeen: now });
+  }
+
+  console.log(`[errors] ${report.category}${report.component ? ` in ${report.component}` : ''}: ${report.message} (${report.page})`);
+  sendJson(res, 202, { ok: true });
+}
+
+function list(req, res) {
+  const category = new URL(req.url, 'http://localhost').searchParams.get('category');
+
+  if (category && !CATEGORIES.includes(category)) {
+    throw new HttpError(400, `Unknown category "${category}"`);
+  }
+
+  const errors = store.list()
+    .filter(record => !category || record.category === category)
+    .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen));
+
+  sendJson(res, 200, { ok: true, errors });
+}
+
+module.exports = {
+  routes: {
+    'POST /api/errors': receive,
+    'GET /api/errors': list
+  }
+};
@@ -0,0 +1,188 @@
+// tools/routes/testimonials.js - Testimonial submissions and the moderation queue
+//
+// Visitors post to the queue; entries stay pending until the owner approves
+// them on moderate.html. Only approved entries are public, in the
+// { items: [...] } shape TestimonialCarousel reads from data-source.
+// Moderation needs a password, given when starting the server:
+//
+//   MODERATION_PASSWORD=... node tools/dev-server.js
+'use strict';
+
+const crypto = require('crypto');
+const { JsonlStore } = require('../lib/store');
+const { HttpError, readBody, sendJson } = require('../lib/http');
+const { DEFAULT_RULES, SpamFilter } = require('../lib/spam-rules');
+
+const store = new JsonlStore('testimonials');
+const spamStore = new JsonlStore('testimonials-spam');
+const spamFilter = new SpamFilter();
+
+const STATUSES = ['pending', 'approved', 'rejected'];
+
+const FIELD_LIMITS = {
+  name: 100,
+  role: 150,
+  message: 1500
+};
+
+const MIN_MESSAGE_LENGTH = 30;
+
+/**
+ * Server-side field checks, mirroring the attributes on #testimonialForm
+ */
+function validateTestimonial(payload) {
+  const errors = {};
+
+  if (!payload.name) errors.name = 'This field is required';
+  if (!payload.message) errors.message = 'This field is required';
+
+  if (!payload.rating) {
+    errors.rating = 'This field is required';
+  } else if (!Number.isInteger(payload.rating) || payload.rating < 1 || payload.rating > 5) {
+    errors.rating = 'Please choose a rating from 1 to 5';
+  }
+
+  if (payload.message && payload.message.length < MIN_MESSAGE_LENGTH) {
+    errors.message = `Please enter at least ${MIN_MESSAGE_LENGTH} characters`;
+  }
+
+  Object.entries(FIELD_LIMITS).forEach(([field, limit]) => {
+    if (!errors[field] && payload[field] && payload[field].length > limit) {
+      errors[field] = `Please use at most ${limit} characters`;
+    }
+  });
+
+  return errors;
+}
+
+function normalize(body) {
+  const payload = Object.keys(FIELD_LIMITS).reduce((fields, field) => {
+    fields[field] = typeof body[field] === 'string' ? body[field].trim() : '';
+    return fields;
+  }, {});
+
+  payload.rating = Number(body.rating) || 0;
+  return payload;
+}
+
+// What the carousel needs, and nothing a visitor should not see
+function toItem(record) {
+  return {
+    id: record.id,
+    author: record.name,
+    role: record.role,
+    rating: record.rating,
+    body: record.message,
+    datePublished: (record.approvedAt || record.receivedAt).slice(0, 10)
+  };
+}
+
+function digest(value) {
+  return crypto.createHash('sha256').update(value).digest();
+}
+
+// Hashing both sides gives equal lengths, which timingSafeEqual needs
+function authorize(req) {
+  const password = process.env.MODERATION_PASSWORD;
+  if (!password) {
+    throw new HttpError(503, 'Moderation is disabled. Start the dev server with MODERATION_PASSWORD set.');
+  }
+
+  const header = req.headers.authorization || '';
+  const given = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  if (!crypto.timingSafeEqual(digest(given), digest(password))) {
+    throw new HttpError(401, 'Wrong moderation password');
+  }
+}
+
+async function receive(req, res) {
+  const body = await readBody(req);
+  const payload = normalize(body);
+  const ip = req.socket.remoteAddress;
+
+  // Blocked submissions get the same answer as real ones
+  const rule = spamFilter.check({
+    ...payload,
+    [DEFAULT_RULES.honeypot.field]: body[DEFAULT_RULES.honeypot.field],
+    _elapsed: body._elapsed
+  }, ip);
+
+  if (rule) {
+    spamStore.append({ ...payload, rule, ip });
+    console.log(`[testimonials] blocked by ${rule} from ${ip}`);
+    return sendJson(res, 201, { ok: true, id: crypto.randomUUID() });
+  }
+
+  const errors = validateTestimonial(payload);
+
+  if (Object.keys(errors).length) {
+    throw new HttpError(422, 'Please fix the errors in the form', { errors });
+  }
+
+  spamFilter.record(payload, ip);
+  const record = store.append({ ...payload, status: 'pending' });
+
+  console.log(`[testimonials] ${record.id} from ${payload.name}, waiting for moderation`);
+  sendJson(res, 201, { ok: true, id: record.id });
+}
+
+// GET /api/testimonials             approved entries, public
+// GET /api/testimonials?status=...  any status (or "all"), for moderation
+function list(req, res) {
+  const status = new URL(req.url, 'http://localhost').searchParams.get('status');
+
+  if (!status) {
+    const items = store.list().filter(record => record.status === 'approved').map(toItem);
+    return sendJson(res, 200, { ok: true, items });
+  }
+
+  authorize(req);
+
+  if (status !== 'all' && !STATUSES.includes(status)) {
+    throw new HttpError(400, `Unknown status "${status}"`);
+  }
+
+  const testimonials = store.list().filter(record => status === 'all' || record.status === status);
+  sendJson(res, 200, { ok: true, testimonials });
+}
+
+// PATCH /api/testimonials?id=...  { status?, name?, role?, rating?, message? }
+async function moderate(req, res) {
+  authorize(req);
+
+  const id = new URL(req.url, 'http://localhost').searchParams.get('id');
+  const record = id && store.find(id);
+  if (!record) throw new HttpError(404, 'No testimonial with that id');
+
+  const body = await readBody(req);
+  const edits = normalize({ ...record, ...body });
+
+  if (body.status !== undefined && !STATUSES.includes(body.status)) {
+    throw new HttpError(400, `Unknown status "${body.status}"`);
+  }
+
+  const errors = validateTestimonial(edits);
+  if (Object.keys(errors).length) {
+    throw new HttpError(422, 'Please fix the errors in the form', { errors });
+  }
+
+  const status = body.status || record.status;
+  const updated = store.update(id, {
+    ...edits,
+    status,
+    ...(status === 'approved' && record.status !== 'approved' ? { approvedAt: new Date().toISOString() } : {})
+  });
+
+  console.log(`[testimonials] ${id} ${status}`);
+  sendJson(res, 200, { ok: true, testimonial: updated });
+}
+
+module.exports = {
+  routes: {
+    'POST /api/testimonials': receive,
+    'GET /api/testimonials': list,
+    'PATCH /api/testimonials': moderate
+  },
+  validateTestimonial
+};
@@ -0,0 +1,89 @@
+// tools/routes/vitals.js - Stand-in receiver for PerformanceMonitor beacons
+//
+// Enable with config.performance.endpoint = '/api/vitals' in script.js.
+// GET /api/vitals summarises what was received as the 75th percentile of
+// each metric per page, which is how Core Web Vitals are assessed.
+'use strict';
+
+const { JsonlStore } = require('../lib/store');
+const { HttpError, readBody, sendJson } = require('../lib/http');
+
+const store = new JsonlStore('vitals');
+
+const METRICS = ['LCP', 'CLS', 'INP', 'TTFB'];
+const MAX_IMAGES = 5;
+
+function number(value) {
+  return Number.isFinite(value) && value >= 0 ? value : null;
+}
+
+function clean(body) {
+  if (typeof body.page !== 'string' || !body.page.startsWith('/')) return null;
+
+  const metrics = METRICS.reduce((values, name) => {
+    const value = number(body.metrics?.[name]?.value);
+    if (value !== null) values[name] = value;
+    return values;
+  }, {});
+
+  const images = body.images || {};
+
+  return {
+    page: body.page.split(/[?#]/)[0].slice(0, 200),
+    metrics,
+    longTasks: {
+      count: number(body.longTasks?.count) || 0,
+      blockingTime: number(body.longTasks?.blockingTime) || 0
+    },
+    images: {
+      count: number(images.count) || 0,
+      average: number(images.average) || 0,
+      slowest: (Array.isArray(images.slowest) ? images.slowest : []).slice(0, MAX_IMAGES)
+        .filter(image => typeof image?.url === 'string' && number(image.duration) !== null)
+        .map(image => ({ url: image.url.slice(0, 200), duration: image.duration }))
+    }
+  };
+}
+
+function percentile(values, p) {
+  if (!values.length) return null;
+
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(Math.ceil(sorted.length * p) - 1, sorted.length - 1)];
+}
+
+async function receive(req, res) {
+  const record = clean(await readBody(req));
+  if (!record) throw new HttpError(400, 'Expected { page, metrics }');
+
+  store.append(record);
+  sendJson(res, 202, { ok: true });
+}
+
+function report(req, res) {
+  const pages = new Map();
+
+  store.list().forEach(record => {
+    if (!pages.has(record.page)) pages.set(record.page, []);
+    pages.get(record.page).push(record);
+  });
+
+  const summary = Array.from(pages.entries()).map(([page, records]) => ({
+    page,
+    samples: records.length,
+    p75: Object.fromEntries(METRICS.map(name => [
+      name,
+      percentile(records.map(record => record.metrics[name]).filter(value => value !== undefined), 0.75)
+    ])),
+    imageAverage: percentile(records.map(record => record.images.average).filter(Boolean), 0.75)
+  }));
+
+  sendJson(res, 200, { ok: true, pages: summary });
+}
+
+module.exports = {
+  routes: {
+    'POST /api/vitals': receive,
+    'GET /api/vitals': report
+  }
+};